@@ -0,0 +1,67 @@
+import * as THREE from 'three';
+
+const DEFAULT_ATMOSPHERE = {
+  color: '#4da6ff',
+  thickness: 0.12, // Shell radius above the surface, fraction of the radius
+  intensity: 1,
+  power: 3, // Higher values keep the glow closer to the limb
+};
+
+const vertexShader = `
+  varying vec3 vNormal;
+  varying vec3 vViewDirection;
+
+  void main() {
+    vec4 viewPosition = modelViewMatrix * vec4(position, 1.0);
+    vNormal = normalize(normalMatrix * normal);
+    vViewDirection = normalize(-viewPosition.xyz);
+    gl_Position = projectionMatrix * viewPosition;
+  }
+`;
+
+// Seen from inside (back faces), the shell is brightest just outside the
+// globe's limb and fades out towards its own edge
+const fragmentShader = `
+  uniform vec3 color;
+  uniform float intensity;
+  uniform float power;
+  varying vec3 vNormal;
+  varying vec3 vViewDirection;
+
+  void main() {
+    float fresnel = pow(max(dot(-vNormal, vViewDirection), 0.0), power);
+    gl_FragColor = vec4(color, 1.0) * fresnel * intensity;
+    #include <colorspace_fragment>
+  }
+`;
+
+// Glowing halo around the globe: a Fresnel-shaded shell slightly larger than
+// the earth, added to the scene (not the earth) since it looks the same from
+// every side
+function createAtmosphere(radius = 100, options = {}) {
+  const { color, thickness, intensity, power } = {
+    ...DEFAULT_ATMOSPHERE,
+    ...options,
+  };
+
+  const geometry = new THREE.SphereGeometry(radius * (1 + thickness), 64, 64);
+  const material = new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    uniforms: {
+      color: { value: new THREE.Color(color) },
+      intensity: { value: intensity },
+      power: { value: power },
+    },
+    side: THREE.BackSide,
+    blending: THREE.AdditiveBlending,
+    transparent: true,
+    depthWrite: false,
+  });
+
+  const atmosphere = new THREE.Mesh(geometry, material);
+  atmosphere.name = 'atmosphere';
+  return atmosphere;
+}
+
+export { createAtmosphere };
@@ -0,0 +1,45 @@
+import * as THREE from 'three';
+
+const textureLoader = new THREE.TextureLoader();
+
+const DEFAULT_CLOUDS = {
+  textureUrl: '/assets/earth_clouds.jpg',
+  opacity: 0.8,
+  altitude: 0.01, // Above the surface, fraction of the radius
+  speed: 0.005, // Drift in radians per second
+};
+
+// Semi-transparent cloud cover drifting slowly around the globe. The texture
+// is read as coverage, white for clouds and black for clear sky. Add it to
+// the earth so it follows the globe's rotation. Opaque selections, borders,
+// markers and arcs under the cloud shell show through it, dimmed.
+function createClouds(radius = 100, options = {}) {
+  const { textureUrl, opacity, altitude, speed } = {
+    ...DEFAULT_CLOUDS,
+    ...options,
+  };
+
+  const geometry = new THREE.SphereGeometry(radius * (1 + altitude), 64, 64);
+  const material = new THREE.MeshPhongMaterial({
+    color: 'white',
+    alphaMap: textureLoader.load(textureUrl),
+    opacity,
+    transparent: true,
+    depthWrite: false,
+  });
+
+  const clouds = new THREE.Mesh(geometry, material);
+  clouds.name = 'clouds';
+  // Before the other see-through overlays (hover, translucent fills, line
+  // halos, fading arcs) so they stay on top of the cloud cover. Opaque ones
+  // always draw before transparent meshes, whatever their render order.
+  clouds.renderOrder = -1;
+
+  clouds.tick = (delta) => {
+    clouds.rotation.y += speed * delta;
+  };
+
+  return clouds;
+}
+
+export { createClouds };
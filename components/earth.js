@@ -2,44 +2,149 @@ import * as THREE from 'three';
 
 const textureLoader = new THREE.TextureLoader();
 
-function createMaterial() {
+// Width of the twilight band, in cosine of the sun's angle below the horizon
+const TERMINATOR_SOFTNESS = 0.12;
+
+// Night lights glow on the side of the globe facing away from the sun. The
+// sun direction uniform is in view space, like the `normal` of the shader.
+function addNightLights(material, uniforms) {
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        '#include <common>',
+        `#include <common>
+        uniform sampler2D nightMap;
+        uniform vec3 sunDirection;
+        uniform float nightIntensity;
+        uniform float terminatorSoftness;`
+      )
+      .replace(
+        '#include <emissivemap_fragment>',
+        `#include <emissivemap_fragment>
+        float daylight = smoothstep(
+          -terminatorSoftness,
+          terminatorSoftness,
+          dot(normal, sunDirection)
+        );
+        totalEmissiveRadiance +=
+          texture2D(nightMap, vMapUv).rgb * (1.0 - daylight) * nightIntensity;`
+      );
+  };
+}
+
+// Relief and shiny oceans. `bumpMapUrl` is a height map (white is high),
+// `specularMapUrl` a mask of the water (white is shiny). `bumpScale` is in
+// world units per unit of height.
+const DEFAULT_SURFACE_MAPS = {
+  bumpMapUrl: '/assets/earth_bump.jpg',
+  specularMapUrl: '/assets/earth_specular.jpg',
+  bumpScale: 0.5,
+  specular: '#666666',
+  shininess: 15,
+};
+
+function createMaterial(textureUrl, uniforms) {
   const material = new THREE.MeshPhongMaterial();
 
-  //load image from /assets/earth_8k.jpeg
-  const earthTexture = textureLoader.load(
-    '/assets/earth_8k.jpg'
-  );
-  const earthMap = textureLoader.load(
-    earthTexture
-  );
-  material.map = earthMap;
-
-  // Optionally include bump and specular maps if needed
-  // const earthBump = textureLoader.load(
-  //   "/src/world/assets/textures/earth/earth_bump.jpg"
-  // );
-  // material.bumpMap = earthBump;
-  // material.bumpScale = 0.005;
-
-  // const earthSpecular = textureLoader.load(
-  //   "/src/world/assets/textures/earth/earth_specular.png"
-  // );
-  // material.specularMap = earthSpecular;
-  // material.specular = new THREE.Color("grey");
+  material.map = textureLoader.load(textureUrl);
+  addNightLights(material, uniforms);
 
   return material;
 }
 
-function createEarth(radius = 100, segments = 32) {
+// `options` are merged over DEFAULT_SURFACE_MAPS, null removes the maps
+function setSurfaceMaps(material, options) {
+  [material.bumpMap, material.specularMap].forEach((texture) => {
+    if (texture) texture.dispose();
+  });
+
+  if (!options) {
+    material.bumpMap = null;
+    material.specularMap = null;
+    material.specular.set(0x111111); // MeshPhongMaterial's default
+    material.shininess = 30;
+  } else {
+    const { bumpMapUrl, specularMapUrl, bumpScale, specular, shininess } = {
+      ...DEFAULT_SURFACE_MAPS,
+      ...options,
+    };
+    material.bumpMap = bumpMapUrl ? textureLoader.load(bumpMapUrl) : null;
+    material.bumpScale = bumpScale;
+    material.specularMap = specularMapUrl
+      ? textureLoader.load(specularMapUrl)
+      : null;
+    material.specular.set(specular);
+    material.shininess = shininess;
+  }
+  material.needsUpdate = true;
+}
+
+// `surfaceMaps` adds relief and specular oceans, see DEFAULT_SURFACE_MAPS
+function createEarth(
+  radius = 100,
+  segments = 32,
+  textureUrl = '/assets/earth_8k.jpg',
+  { surfaceMaps = null } = {}
+) {
   const geometry = new THREE.SphereGeometry(radius, segments, segments);
-  const material = createMaterial();
+
+  // Night lights stay off until setSun() gets a direction and
+  // setNightTexture() a texture
+  const blackTexture = new THREE.DataTexture(new Uint8Array(4), 1, 1);
+  blackTexture.needsUpdate = true;
+  const uniforms = {
+    nightMap: { value: blackTexture },
+    sunDirection: { value: new THREE.Vector3() },
+    nightIntensity: { value: 0 },
+    terminatorSoftness: { value: TERMINATOR_SOFTNESS },
+  };
+  const sunWorldDirection = new THREE.Vector3();
+  let sunEnabled = false;
+  let nightIntensity = 1;
+
+  const material = createMaterial(textureUrl, uniforms);
+  if (surfaceMaps) {
+    setSurfaceMaps(material, surfaceMaps);
+  }
   const earth = new THREE.Mesh(geometry, material);
+  // Before the imagery tiles (-1) and everything else lying on the surface
+  earth.renderOrder = -2;
 
   // Rotation speed can be adjusted as needed
   earth.tick = (delta) => {
     earth.rotation.y += (1 / 28) * delta;
   };
 
+  // `direction` is a unit vector towards the sun in world space, null to
+  // turn night lights off
+  earth.setSun = (direction) => {
+    sunEnabled = Boolean(direction);
+    if (direction) {
+      sunWorldDirection.copy(direction);
+    }
+    uniforms.nightIntensity.value = sunEnabled ? nightIntensity : 0;
+  };
+
+  earth.setNightTexture = (url, intensity = 1) => {
+    if (uniforms.nightMap.value !== blackTexture) {
+      uniforms.nightMap.value.dispose();
+    }
+    const texture = textureLoader.load(url);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    uniforms.nightMap.value = texture;
+    nightIntensity = intensity;
+    uniforms.nightIntensity.value = sunEnabled ? nightIntensity : 0;
+  };
+
+  earth.setSurfaceMaps = (options) => setSurfaceMaps(material, options);
+
+  earth.onBeforeRender = (renderer, scene, camera) => {
+    uniforms.sunDirection.value
+      .copy(sunWorldDirection)
+      .transformDirection(camera.matrixWorldInverse);
+  };
+
   return earth;
 }
 
@@ -0,0 +1,69 @@
+import * as THREE from 'three';
+
+const textureLoader = new THREE.TextureLoader();
+
+const DEFAULT_STARFIELD = {
+  textureUrl: null, // Equirectangular sky texture, random stars without one
+  count: 4000,
+  radius: 4000, // Inside the camera's far plane
+  size: 2, // In pixels
+};
+
+// Random stars, brighter ones rarer, with a slight blue or yellow tint
+function createStarPoints({ count, radius, size }) {
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  const direction = new THREE.Vector3();
+  const color = new THREE.Color();
+
+  for (let i = 0; i < count; i++) {
+    direction.randomDirection().multiplyScalar(radius);
+    direction.toArray(positions, i * 3);
+
+    const brightness = 0.3 + 0.7 * Math.pow(Math.random(), 3);
+    color.setHSL(Math.random() < 0.5 ? 0.6 : 0.12, 0.3, brightness);
+    color.toArray(colors, i * 3);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+  const material = new THREE.PointsMaterial({
+    size,
+    sizeAttenuation: false,
+    vertexColors: true,
+    depthWrite: false,
+  });
+
+  return new THREE.Points(geometry, material);
+}
+
+function createSkySphere({ textureUrl, radius }) {
+  const texture = textureLoader.load(textureUrl);
+  texture.colorSpace = THREE.SRGBColorSpace;
+
+  const geometry = new THREE.SphereGeometry(radius, 64, 32);
+  const material = new THREE.MeshBasicMaterial({
+    map: texture,
+    side: THREE.BackSide,
+    depthWrite: false,
+  });
+
+  return new THREE.Mesh(geometry, material);
+}
+
+// Background stars, procedural or from a sky texture. Add it to the scene,
+// not the earth, so it stays put while the globe turns.
+function createStarfield(options = {}) {
+  const settings = { ...DEFAULT_STARFIELD, ...options };
+  const starfield = settings.textureUrl
+    ? createSkySphere(settings)
+    : createStarPoints(settings);
+  starfield.name = 'starfield';
+  // Behind everything else
+  starfield.renderOrder = -3;
+  return starfield;
+}
+
+export { createStarfield };
@@ -0,0 +1,360 @@
+import * as THREE from "three";
+import { latLngTo3DPosition } from "../utils/geoUtils.js";
+
+const DEFAULT_COLOR = "#ffaa00";
+const DEFAULT_WIDTH = 0.3; // Tube radius in world units
+const DEFAULT_ALTITUDE = 0.25; // Apex height as a fraction of the chord
+const DEFAULT_SEGMENTS = 64;
+const RADIAL_SEGMENTS = 6;
+const DEFAULT_ANIMATIONS = {
+  dash: { dashSize: 4, gapSize: 3, speed: 12 }, // world units, units/s
+  head: { length: 0.25, speed: 0.4 }, // fractions of the arc, per second
+};
+const ANIMATION_MODES = { none: 0, dash: 1, head: 2 };
+const MIN_ARC_ANGLE = 1e-6; // Radians, shorter arcs have no direction
+
+const vertexShader = `
+  attribute vec3 arcColor;
+  attribute float arcDistance;
+  attribute float arcProgress;
+  varying vec3 vColor;
+  varying float vDistance;
+  varying float vProgress;
+
+  void main() {
+    vColor = arcColor;
+    vDistance = arcDistance;
+    vProgress = arcProgress;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const fragmentShader = `
+  uniform int mode;
+  uniform float offset;
+  uniform float dashSize;
+  uniform float gapSize;
+  uniform float headLength;
+  uniform float opacity;
+  varying vec3 vColor;
+  varying float vDistance;
+  varying float vProgress;
+
+  void main() {
+    float alpha = opacity;
+    if (mode == 1) {
+      // Dashes travelling from the start to the end of the arc
+      if (mod(vDistance - offset, dashSize + gapSize) > dashSize) discard;
+    } else if (mode == 2) {
+      // A head moving along the arc, with a fading tail
+      float behind = fract(offset) * (1.0 + headLength) - vProgress;
+      if (behind < 0.0 || behind > headLength) discard;
+      alpha *= 1.0 - behind / headLength;
+    }
+    gl_FragColor = vec4(vColor, alpha);
+    #include <colorspace_fragment>
+  }
+`;
+
+function accessor(option) {
+  return typeof option === "function" ? option : () => option;
+}
+
+// Normalize `[{ startLat, startLng, endLat, endLng, ... }]` or GeoJSON
+// LineStrings (first to last position) into
+// `[{ start: { lat, lng }, end: { lat, lng }, properties }]`
+function normalizeArcs(data) {
+  if (!data) {
+    return [];
+  }
+  if (Array.isArray(data)) {
+    return data.map((item) => ({
+      start: { lat: item.startLat, lng: item.startLng },
+      end: { lat: item.endLat, lng: item.endLng },
+      properties: item,
+    }));
+  }
+
+  const features = data.type === "FeatureCollection" ? data.features : [data];
+  return features
+    .filter(
+      (feature) => feature.geometry && feature.geometry.type === "LineString"
+    )
+    .map((feature) => {
+      const coordinates = feature.geometry.coordinates;
+      const [startLng, startLat] = coordinates[0];
+      const [endLng, endLat] = coordinates[coordinates.length - 1];
+      return {
+        start: { lat: startLat, lng: startLng },
+        end: { lat: endLat, lng: endLng },
+        properties: feature.properties || {},
+      };
+    });
+}
+
+function unitVector({ lat, lng }) {
+  return new THREE.Vector3(...latLngTo3DPosition(lat, lng, 1));
+}
+
+// Angle between the endpoints of an arc, in radians
+function arcAngle(start, end) {
+  return unitVector(start).angleTo(unitVector(end));
+}
+
+// Points along the great circle from `start` to `end`, lifted above the
+// globe by up to `altitude` times the chord length at the middle. Antipodal
+// endpoints are joined over the poles, or along the prime meridian when
+// they are the poles.
+function arcPoints(start, end, radius, altitude, segments) {
+  const from = unitVector(start);
+  const to = unitVector(end);
+  const angle = from.angleTo(to);
+  const apex = altitude * from.distanceTo(to) * radius;
+
+  // Rotating `from` around the normal of the great circle's plane
+  const axis = new THREE.Vector3().crossVectors(from, to);
+  if (axis.lengthSq() < MIN_ARC_ANGLE ** 2) {
+    const pole =
+      Math.abs(from.y) > 0.999
+        ? new THREE.Vector3(...latLngTo3DPosition(0, 0, 1))
+        : new THREE.Vector3(0, 1, 0);
+    axis.crossVectors(from, pole);
+  }
+  axis.normalize();
+
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const t = i / segments;
+    const point = from.clone().applyAxisAngle(axis, t * angle);
+    points.push(point.multiplyScalar(radius + apex * Math.sin(Math.PI * t)));
+  }
+  return points;
+}
+
+// Routes drawn as tubes along great circles between two points, with
+// per-arc color gradients and widths, and optional animated dashes or a
+// moving head showing their direction. Clicking or hovering an arc emits
+// `arcclick`/`archover` on the world.
+//
+// Options:
+//   data       `[{ startLat, startLng, endLat, endLng, ... }]` or GeoJSON
+//              LineStrings
+//   color      a color, `[startColor, endColor]`, or `(arc) => either`
+//   width      tube radius in world units, or `(arc) => width`
+//   altitude   apex height as a fraction of the chord, or `(arc) => value`
+//   opacity    0 to 1
+//   animation  null, "dash", "head", or `{ type, ...settings }` overriding
+//              DEFAULT_ANIMATIONS
+class ArcLayer {
+  constructor(world, options = {}) {
+    const {
+      data = [],
+      color = DEFAULT_COLOR,
+      width = DEFAULT_WIDTH,
+      altitude = DEFAULT_ALTITUDE,
+      segments = DEFAULT_SEGMENTS,
+      opacity = 1,
+      animation = null,
+    } = options;
+
+    this.world = world;
+    this.color = accessor(color);
+    this.width = accessor(width);
+    this.altitude = accessor(altitude);
+    this.segments = segments;
+    this.eventPrefix = "arc"; // World emits arcclick and archover
+
+    this.material = new THREE.ShaderMaterial({
+      vertexShader,
+      fragmentShader,
+      uniforms: {
+        mode: { value: ANIMATION_MODES.none },
+        offset: { value: 0 },
+        dashSize: { value: 0 },
+        gapSize: { value: 0 },
+        headLength: { value: 0 },
+        opacity: { value: opacity },
+      },
+    });
+    this.setOpacity(opacity);
+    this.setAnimation(animation);
+
+    this.group = new THREE.Group();
+    this.group.name = "arcs";
+    this.meshes = [];
+    this.setData(data);
+  }
+
+  load() {
+    this.world.earth.add(this.group);
+    this.world.events.emit("layerloaded", { layer: "arcs" });
+    return this;
+  }
+
+  // Arcs with identical endpoints are skipped, with a "warning"
+  setData(data) {
+    this.clearMeshes();
+    this.arcs = normalizeArcs(data);
+    this.arcs.forEach((arc, index) => {
+      const angle = arcAngle(arc.start, arc.end);
+      if (!(angle >= MIN_ARC_ANGLE)) {
+        this.world.events.emit("warning", {
+          message: `Skipped arc ${index}: its endpoints are missing or the same point`,
+          index,
+          arc,
+        });
+        return;
+      }
+      if (Math.PI - angle < MIN_ARC_ANGLE) {
+        this.world.events.emit("warning", {
+          message: `Arc ${index} joins antipodal points, drawn over the poles`,
+          index,
+          arc,
+        });
+      }
+
+      const mesh = new THREE.Mesh(
+        this.createGeometry(arc, index),
+        this.material
+      );
+      mesh.userData.index = index;
+      this.meshes.push(mesh);
+      this.group.add(mesh);
+    });
+  }
+
+  createGeometry(arc, index) {
+    const points = arcPoints(
+      arc.start,
+      arc.end,
+      this.world.earthRadius,
+      this.altitude(arc, index),
+      this.segments
+    );
+    const curve = new THREE.CatmullRomCurve3(points);
+    const geometry = new THREE.TubeGeometry(
+      curve,
+      this.segments,
+      this.width(arc, index),
+      RADIAL_SEGMENTS,
+      false
+    );
+
+    // TubeGeometry lays out one ring of vertices per tubular segment
+    const colors = [].concat(this.color(arc, index));
+    const startColor = new THREE.Color(colors[0]);
+    const endColor = new THREE.Color(colors[colors.length - 1]);
+    const lengths = curve.getLengths(this.segments);
+    const vertexCount = geometry.attributes.position.count;
+    const colorArray = new Float32Array(vertexCount * 3);
+    const distances = new Float32Array(vertexCount);
+    const progress = new Float32Array(vertexCount);
+    const color = new THREE.Color();
+
+    for (let i = 0; i < vertexCount; i++) {
+      const ring = Math.floor(i / (RADIAL_SEGMENTS + 1));
+      const t = ring / this.segments;
+      color.copy(startColor).lerp(endColor, t);
+      color.toArray(colorArray, i * 3);
+      distances[i] = lengths[ring];
+      progress[i] = t;
+    }
+    geometry.setAttribute("arcColor", new THREE.BufferAttribute(colorArray, 3));
+    geometry.setAttribute(
+      "arcDistance",
+      new THREE.BufferAttribute(distances, 1)
+    );
+    geometry.setAttribute(
+      "arcProgress",
+      new THREE.BufferAttribute(progress, 1)
+    );
+    return geometry;
+  }
+
+  setOpacity(opacity) {
+    this.opacity = opacity;
+    this.material.uniforms.opacity.value = opacity;
+    this.updateTransparency();
+  }
+
+  // `null`/"none", "dash", "head", or `{ type, ...settings }`
+  setAnimation(animation) {
+    const type =
+      typeof animation === "string" ? animation : animation && animation.type;
+    if (!type || type === "none") {
+      this.animation = null;
+      this.material.uniforms.mode.value = ANIMATION_MODES.none;
+      this.updateTransparency();
+      return;
+    }
+    if (!DEFAULT_ANIMATIONS[type]) {
+      throw new Error(`Unknown arc animation "${type}"`);
+    }
+
+    const settings = typeof animation === "string" ? {} : animation;
+    this.animation = { type, ...DEFAULT_ANIMATIONS[type], ...settings };
+    const { uniforms } = this.material;
+    uniforms.mode.value = ANIMATION_MODES[type];
+    uniforms.offset.value = 0;
+    if (type === "dash") {
+      uniforms.dashSize.value = this.animation.dashSize;
+      uniforms.gapSize.value = this.animation.gapSize;
+    } else {
+      uniforms.headLength.value = this.animation.length;
+    }
+    this.updateTransparency();
+  }
+
+  // Fading heads need blending even on opaque layers
+  updateTransparency() {
+    const transparent =
+      this.opacity < 1 || (this.animation && this.animation.type === "head");
+    this.material.transparent = Boolean(transparent);
+    this.material.depthWrite = !transparent;
+    this.material.needsUpdate = true;
+  }
+
+  // Called every frame by the world's loop
+  tick(delta) {
+    if (this.animation) {
+      this.material.uniforms.offset.value += this.animation.speed * delta;
+    }
+  }
+
+  // Closest arc hit by `raycaster`: `{ type: "arc", distance, index, arc,
+  // lat, lng }`, with the position of the pointer on the arc
+  pick(raycaster) {
+    const [hit] = raycaster.intersectObjects(this.meshes, false);
+    if (!hit) {
+      return null;
+    }
+    const index = hit.object.userData.index;
+    const arc = this.arcs[index];
+    const { lat, lng } = this.world.positionToLatLng(hit.point);
+    return {
+      type: "arc",
+      key: arc,
+      distance: hit.distance,
+      index,
+      arc,
+      lat,
+      lng,
+    };
+  }
+
+  clearMeshes() {
+    this.meshes.forEach((mesh) => {
+      this.group.remove(mesh);
+      mesh.geometry.dispose();
+    });
+    this.meshes = [];
+  }
+
+  dispose() {
+    this.clearMeshes();
+    this.material.dispose();
+    this.world.earth.remove(this.group);
+  }
+}
+
+export { ArcLayer, normalizeArcs, arcPoints };
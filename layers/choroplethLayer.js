@@ -0,0 +1,229 @@
+import * as THREE from "three";
+import {
+  createFillMaterial,
+  createExtrudedGeometry,
+  setExtrusionHeight,
+} from "../utils/meshUtils.js";
+import { createColorScale } from "../utils/colorScales.js";
+
+const DEFAULT_NO_DATA_STYLE = { color: "#cccccc", opacity: 0.6 };
+const DEFAULT_EXTRUDE = { maxHeight: 20, duration: 0.8 };
+
+const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+
+// Colors every country from a `{ isoCode: value }` table. Country meshes are
+// built once through World.createCountryMeshes() (GLB or triangulated
+// GeoJSON); setData() and setScale() only update the per-country materials.
+//
+// With `extrude`, countries are also raised into prisms whose height follows
+// the data, animating over `duration` seconds whenever it changes:
+//   extrude: { maxHeight: 20, duration: 0.8, height?: (value) => number }
+// Without `height`, heights grow linearly from 0 at the smallest value to
+// `maxHeight` at the largest.
+class ChoroplethLayer {
+  constructor(world, options = {}) {
+    const {
+      data = {},
+      scale = { type: "sequential" },
+      noDataStyle = DEFAULT_NO_DATA_STYLE,
+      opacity = 1,
+      extrude = null,
+    } = options;
+
+    this.world = world;
+    this.data = { ...data };
+    this.scaleDefinition = scale;
+    this.noDataStyle = { ...DEFAULT_NO_DATA_STYLE, ...noDataStyle };
+    this.opacity = opacity;
+    this.domainValues = null; // Values data-driven scales are computed from
+    this.extrude = extrude && { ...DEFAULT_EXTRUDE, ...extrude };
+
+    this.group = new THREE.Group();
+    this.group.name = "choropleth";
+    this.materials = new Map(); // code -> material shared by its meshes
+    // code -> { geometries, from, to, elapsed } for extruded countries
+    this.prisms = new Map();
+    this.updateScale();
+  }
+
+  // Build the meshes of `codes` (every country with a known center by
+  // default) and add the layer to the globe
+  async load(codes) {
+    await this.world.countryCentersLoaded;
+    const countryCodes = codes || Object.keys(this.world.countryCenters || {});
+
+    // A country failing to load is left out instead of failing the layer
+    const results = await Promise.allSettled(
+      countryCodes.map(async (code) => {
+        // Drawn behind selection and hover highlights of the same country
+        const material = createFillMaterial({}, 1);
+        let meshes;
+        try {
+          meshes = await this.world.createCountryMeshes(code, material, 0);
+        } catch (error) {
+          material.dispose();
+          throw error;
+        }
+        if (meshes.length === 0) {
+          material.dispose();
+          return;
+        }
+        if (this.extrude) {
+          meshes = this.createPrisms(code, meshes, material);
+        }
+        meshes.forEach((mesh) => {
+          mesh.userData.code = code;
+          this.group.add(mesh);
+        });
+        this.materials.set(code, material);
+        this.applyStyle(code);
+      })
+    );
+    results.forEach(({ status, reason }, i) => {
+      if (status === "rejected") {
+        this.world.events.emit("warning", {
+          message: `Choropleth country ${countryCodes[i]} failed to load`,
+          error: reason,
+          code: countryCodes[i],
+        });
+      }
+    });
+
+    this.world.earth.add(this.group);
+    this.world.events.emit("layerloaded", { layer: "choropleth" });
+    return this;
+  }
+
+  // Prisms own their geometry, the shared country geometry stays flat
+  createPrisms(code, meshes, material) {
+    material.vertexColors = true;
+    const geometries = meshes.map((mesh) => {
+      mesh.updateMatrix();
+      return createExtrudedGeometry(mesh.geometry, mesh.matrix);
+    });
+    this.prisms.set(code, { geometries, from: 0, to: 0, elapsed: 0 });
+    return geometries.map((geometry) => new THREE.Mesh(geometry, material));
+  }
+
+  updateScale() {
+    const values = this.domainValues || Object.values(this.data);
+    this.scale = createColorScale(this.scaleDefinition, values);
+
+    const numbers = values.filter(
+      (value) => typeof value === "number" && Number.isFinite(value)
+    );
+    this.heightDomain = numbers.length
+      ? [Math.min(...numbers), Math.max(...numbers)]
+      : [0, 1];
+  }
+
+  heightFor(value) {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return 0;
+    }
+    if (this.extrude.height) {
+      return this.extrude.height(value);
+    }
+    const [min, max] = this.heightDomain;
+    return max === min
+      ? this.extrude.maxHeight
+      : ((value - min) / (max - min)) * this.extrude.maxHeight;
+  }
+
+  // Start animating a country's prisms from their current height
+  setTargetHeight(code, height) {
+    const prism = this.prisms.get(code);
+    if (!prism || prism.to === height) {
+      return;
+    }
+    prism.from = prism.geometries[0].userData.extrusion.height;
+    prism.to = height;
+    prism.elapsed = 0;
+  }
+
+  // Called every frame by the world's loop
+  tick(delta) {
+    this.prisms.forEach((prism) => {
+      const current = prism.geometries[0].userData.extrusion.height;
+      if (current === prism.to) {
+        return;
+      }
+      prism.elapsed += delta;
+      const t =
+        this.extrude.duration > 0
+          ? Math.min(1, prism.elapsed / this.extrude.duration)
+          : 1;
+      const height =
+        t === 1
+          ? prism.to
+          : prism.from + (prism.to - prism.from) * easeOutCubic(t);
+      prism.geometries.forEach((geometry) =>
+        setExtrusionHeight(geometry, height)
+      );
+    });
+  }
+
+  applyStyle(code) {
+    const material = this.materials.get(code);
+    const color = this.scale.color(this.data[code]);
+
+    if (color === null) {
+      material.color.set(this.noDataStyle.color);
+      material.opacity = this.noDataStyle.opacity;
+    } else {
+      material.color.set(color);
+      material.opacity = this.opacity;
+    }
+    material.transparent = material.opacity < 1;
+    material.depthWrite = material.opacity >= 1;
+    material.needsUpdate = true;
+
+    if (this.extrude) {
+      this.setTargetHeight(code, this.heightFor(this.data[code]));
+    }
+  }
+
+  // Replace the data table. Data-driven scales (quantile, default domains)
+  // are recomputed from the new values.
+  setData(data) {
+    this.data = { ...data };
+    this.updateScale();
+    this.materials.forEach((material, code) => this.applyStyle(code));
+  }
+
+  // Derive data-driven scales (quantile, default domains) from `values`
+  // instead of the current data, e.g. every frame of a time series so that
+  // colors stay comparable over time. Pass null to go back to the data.
+  setDomainValues(values) {
+    this.domainValues = values;
+    this.updateScale();
+    this.materials.forEach((material, code) => this.applyStyle(code));
+  }
+
+  setScale(scale) {
+    this.scaleDefinition = scale;
+    this.updateScale();
+    this.materials.forEach((material, code) => this.applyStyle(code));
+  }
+
+  // Legend descriptor for the current scale, with a "no data" entry
+  getLegend() {
+    return {
+      ...this.scale.legend(),
+      noData: { ...this.noDataStyle, label: "No data" },
+    };
+  }
+
+  dispose() {
+    this.world.earth.remove(this.group);
+    this.materials.forEach((material) => material.dispose());
+    this.materials.clear();
+    this.prisms.forEach(({ geometries }) =>
+      geometries.forEach((geometry) => geometry.dispose())
+    );
+    this.prisms.clear();
+    this.group.clear();
+  }
+}
+
+export { ChoroplethLayer };
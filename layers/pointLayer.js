@@ -0,0 +1,464 @@
+import * as THREE from "three";
+import { mergeGeometries } from "three/addons/utils/BufferGeometryUtils.js";
+import { latLngTo3DPosition, positionToLatLng } from "../utils/geoUtils.js";
+
+const DEFAULT_COLOR = "#ff5533";
+const DEFAULT_SIZE = 1.5; // World units, the globe radius is at most 100
+const DEFAULT_SHAPE = "circle";
+const DEFAULT_CLUSTER = {
+  radius: 40, // px, points closer than this on screen are clustered
+  minPoints: 2,
+  color: "#3366ff",
+  size: 2.5,
+  labels: true,
+};
+const LIFT = 0.05; // Keeps flat markers above country fills
+
+// Marker geometries, built along +Y with their base at the origin. Each
+// instance is rotated so +Y points away from the globe's center.
+const SHAPES = {
+  circle: () => new THREE.CircleGeometry(0.5, 24).rotateX(-Math.PI / 2),
+  sphere: () => new THREE.SphereGeometry(0.5, 16, 12).translate(0, 0.5, 0),
+  cone: () => new THREE.ConeGeometry(0.5, 1, 16).translate(0, 0.5, 0),
+  box: () => new THREE.BoxGeometry(1, 1, 1).translate(0, 0.5, 0),
+  pin: () =>
+    mergeGeometries([
+      new THREE.CylinderGeometry(0.08, 0.08, 1.2, 8).translate(0, 0.6, 0),
+      new THREE.SphereGeometry(0.35, 16, 12).translate(0, 1.4, 0),
+    ]),
+};
+
+// Options may be constants or functions of the point
+function accessor(option) {
+  return typeof option === "function" ? option : () => option;
+}
+
+// Normalize GeoJSON (FeatureCollection, Feature, Point, MultiPoint) or an
+// array of `{ lat, lng, ... }` objects into `[{ lat, lng, properties }]`.
+// `properties` is the feature's properties, or the object itself.
+function normalizePoints(data) {
+  if (!data) {
+    return [];
+  }
+  if (Array.isArray(data)) {
+    return data.map((item) => ({
+      lat: item.lat,
+      lng: item.lng,
+      properties: item,
+    }));
+  }
+
+  const points = [];
+  const addGeometry = (geometry, properties) => {
+    if (!geometry) {
+      return;
+    }
+    if (geometry.type === "Point") {
+      const [lng, lat] = geometry.coordinates;
+      points.push({ lat, lng, properties });
+    } else if (geometry.type === "MultiPoint") {
+      geometry.coordinates.forEach(([lng, lat]) =>
+        points.push({ lat, lng, properties })
+      );
+    } else if (geometry.type === "GeometryCollection") {
+      geometry.geometries.forEach((child) => addGeometry(child, properties));
+    }
+  };
+
+  if (data.type === "FeatureCollection") {
+    data.features.forEach((feature) =>
+      addGeometry(feature.geometry, feature.properties || {})
+    );
+  } else if (data.type === "Feature") {
+    addGeometry(data.geometry, data.properties || {});
+  } else {
+    addGeometry(data, {});
+  }
+  return points;
+}
+
+// Group points into grid cells `cellDegrees` high (and wide at the equator,
+// wider towards the poles). Cells holding at least `minPoints` points become
+// clusters located at the mean of their points.
+function clusterPoints(points, cellDegrees, minPoints) {
+  const cells = new Map();
+  points.forEach((point, index) => {
+    const row = Math.floor((point.lat + 90) / cellDegrees);
+    const rowLat = Math.min(89, Math.abs(-90 + (row + 0.5) * cellDegrees));
+    const width = Math.min(
+      360,
+      cellDegrees / Math.cos((rowLat * Math.PI) / 180)
+    );
+    const column = Math.floor(
+      ((((point.lng + 180) % 360) + 360) % 360) / width
+    );
+    const key = `${row}_${column}`;
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push(index);
+  });
+
+  const singles = [];
+  const clusters = [];
+  cells.forEach((indices) => {
+    if (indices.length < minPoints) {
+      singles.push(...indices);
+      return;
+    }
+    let x = 0;
+    let y = 0;
+    let z = 0;
+    indices.forEach((index) => {
+      const [px, py, pz] = latLngTo3DPosition(
+        points[index].lat,
+        points[index].lng,
+        1
+      );
+      x += px;
+      y += py;
+      z += pz;
+    });
+    clusters.push({
+      ...positionToLatLng(x, y, z),
+      count: indices.length,
+      indices,
+    });
+  });
+  return { singles, clusters };
+}
+
+// Markers for thousands of points, drawn with one InstancedMesh per shape.
+// Nearby points are merged into clusters that split up as the camera gets
+// closer. Clicking or hovering a marker emits `pointclick`/`pointhover` on
+// the world; clicking a cluster also zooms in on it.
+//
+// Options:
+//   data      GeoJSON points or `[{ lat, lng, ... }]`
+//   color     "#rrggbb" or number, or `(point) => color`
+//   size      world units, or `(point) => size`
+//   shape     "circle", "sphere", "cone", "box" or "pin", or `(point) => shape`
+//   altitude  world units above the globe, or `(point) => altitude`
+//   cluster   false, or `{ radius, minPoints, color, size, labels }`
+class PointLayer {
+  constructor(world, options = {}) {
+    const {
+      data = [],
+      color = DEFAULT_COLOR,
+      size = DEFAULT_SIZE,
+      shape = DEFAULT_SHAPE,
+      altitude = 0,
+      cluster = {},
+    } = options;
+
+    this.world = world;
+    this.color = accessor(color);
+    this.size = accessor(size);
+    this.shape = accessor(shape);
+    this.altitude = accessor(altitude);
+    this.cluster = cluster && { ...DEFAULT_CLUSTER, ...cluster };
+
+    this.group = new THREE.Group();
+    this.group.name = "points";
+    this.geometries = new Map(); // shape -> geometry shared by its meshes
+    // shape -> InstancedMesh, with `userData.items`, kept across rebuilds
+    this.instancedMeshes = new Map();
+    this.sprites = []; // Cluster labels, kept across rebuilds
+    this.meshes = []; // Meshes and labels on screen
+    this.labels = new Map(); // count -> label texture
+    this.clusterLevel = null;
+    this.eventPrefix = "point"; // World emits pointclick and pointhover
+    this.setData(data);
+  }
+
+  load() {
+    this.world.earth.add(this.group);
+    this.world.events.emit("layerloaded", { layer: "points" });
+    return this;
+  }
+
+  setData(data) {
+    this.points = normalizePoints(data);
+    this.clusterLevel = null;
+    this.rebuild();
+  }
+
+  // Clusters only change when the camera distance crosses a zoom level, in
+  // steps of a factor √2
+  currentClusterLevel() {
+    if (!this.cluster) {
+      return null;
+    }
+    const altitude = Math.max(
+      this.world.getCameraDistance() - this.world.earthRadius,
+      1
+    );
+    return Math.round(Math.log2(altitude) * 2);
+  }
+
+  // Angular size in degrees of the cluster radius at a zoom level, as seen
+  // at the center of the screen
+  clusterCellDegrees(level) {
+    const altitude = Math.pow(2, level / 2);
+    const canvas = this.world.renderer.domElement;
+    const height = canvas.clientHeight || window.innerHeight;
+    const fov = THREE.MathUtils.degToRad(this.world.camera.fov);
+    const radians =
+      (this.cluster.radius * altitude * 2 * Math.tan(fov / 2)) /
+      height /
+      this.world.earthRadius;
+    return THREE.MathUtils.radToDeg(radians);
+  }
+
+  // Called every frame by the world's loop
+  tick() {
+    const level = this.currentClusterLevel();
+    if (level !== this.clusterLevel) {
+      this.rebuild();
+    }
+  }
+
+  // Rebuilding reuses the meshes and labels of the previous build, so data
+  // updated every frame (see Timeline) only rewrites instance attributes
+  rebuild() {
+    this.clusterLevel = this.currentClusterLevel();
+
+    const { singles, clusters } =
+      this.clusterLevel === null
+        ? { singles: this.points.map((point, index) => index), clusters: [] }
+        : clusterPoints(
+            this.points,
+            this.clusterCellDegrees(this.clusterLevel),
+            this.cluster.minPoints
+          );
+
+    // Group markers by shape, one InstancedMesh each
+    const byShape = new Map();
+    const addItem = (shape, item) => {
+      if (!byShape.has(shape)) {
+        byShape.set(shape, []);
+      }
+      byShape.get(shape).push(item);
+    };
+
+    singles.forEach((index) => {
+      const point = this.points[index];
+      addItem(this.shape(point, index), {
+        type: "point",
+        index,
+        point,
+        lat: point.lat,
+        lng: point.lng,
+        color: this.color(point, index),
+        size: this.size(point, index),
+        altitude: this.altitude(point, index),
+      });
+    });
+    clusters.forEach((cluster) => {
+      addItem("circle", {
+        type: "cluster",
+        cluster: {
+          lat: cluster.lat,
+          lng: cluster.lng,
+          count: cluster.count,
+          points: cluster.indices.map((index) => this.points[index]),
+        },
+        lat: cluster.lat,
+        lng: cluster.lng,
+        color: this.cluster.color,
+        size: this.cluster.size * (1 + Math.log10(cluster.count)),
+        altitude: 0,
+      });
+    });
+
+    this.instancedMeshes.forEach((mesh, shape) => {
+      if (!byShape.has(shape)) {
+        mesh.count = 0;
+        mesh.visible = false;
+        mesh.userData.items = [];
+      }
+    });
+    this.meshes = [];
+    byShape.forEach((items, shape) => this.updateMesh(shape, items));
+    this.updateLabels(this.cluster && this.cluster.labels ? clusters : []);
+  }
+
+  // The shape's InstancedMesh, grown with some headroom when it has too few
+  // instances
+  instancedMesh(shape, count) {
+    let mesh = this.instancedMeshes.get(shape);
+    let capacity = count;
+    if (mesh && mesh.instanceMatrix.count >= count) {
+      return mesh;
+    }
+    if (mesh) {
+      capacity = Math.max(count, Math.ceil(mesh.instanceMatrix.count * 1.5));
+      this.group.remove(mesh);
+      mesh.dispose();
+      mesh.material.dispose();
+    }
+
+    if (!SHAPES[shape]) {
+      throw new Error(`Unknown point shape "${shape}"`);
+    }
+    if (!this.geometries.has(shape)) {
+      this.geometries.set(shape, SHAPES[shape]());
+    }
+    const material = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide });
+    mesh = new THREE.InstancedMesh(
+      this.geometries.get(shape),
+      material,
+      capacity
+    );
+    this.instancedMeshes.set(shape, mesh);
+    this.group.add(mesh);
+    return mesh;
+  }
+
+  updateMesh(shape, items) {
+    const mesh = this.instancedMesh(shape, items.length);
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    const up = new THREE.Vector3(0, 1, 0);
+    const color = new THREE.Color();
+
+    items.forEach((item, i) => {
+      position.set(
+        ...latLngTo3DPosition(
+          item.lat,
+          item.lng,
+          this.world.earthRadius + LIFT + item.altitude
+        )
+      );
+      quaternion.setFromUnitVectors(up, position.clone().normalize());
+      scale.setScalar(item.size);
+      mesh.setMatrixAt(i, matrix.compose(position, quaternion, scale));
+      mesh.setColorAt(i, color.set(item.color));
+    });
+    mesh.count = items.length;
+    mesh.visible = true;
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate = true;
+    mesh.computeBoundingSphere();
+    mesh.userData.items = items;
+    this.meshes.push(mesh);
+  }
+
+  // Counts drawn on sprites above the clusters. Labels need a DOM canvas and
+  // are skipped without one.
+  updateLabels(clusters) {
+    if (typeof document === "undefined") {
+      return;
+    }
+    clusters.forEach((cluster, i) => {
+      const text = String(cluster.count);
+      if (!this.labels.has(text)) {
+        this.labels.set(text, createLabelTexture(text));
+      }
+
+      let sprite = this.sprites[i];
+      if (!sprite) {
+        sprite = new THREE.Sprite(
+          new THREE.SpriteMaterial({
+            map: this.labels.get(text),
+            depthWrite: false,
+          })
+        );
+        sprite.raycast = () => {}; // Clusters are picked through their marker
+        this.sprites.push(sprite);
+        this.group.add(sprite);
+      }
+      sprite.material.map = this.labels.get(text);
+      sprite.position.set(
+        ...latLngTo3DPosition(
+          cluster.lat,
+          cluster.lng,
+          this.world.earthRadius + LIFT * 2
+        )
+      );
+      sprite.scale.setScalar(
+        this.cluster.size * (1 + Math.log10(cluster.count))
+      );
+      sprite.visible = true;
+      this.meshes.push(sprite);
+    });
+    this.sprites.slice(clusters.length).forEach((sprite) => {
+      sprite.visible = false;
+    });
+  }
+
+  clearMeshes() {
+    this.instancedMeshes.forEach((mesh) => {
+      this.group.remove(mesh);
+      mesh.dispose();
+      mesh.material.dispose();
+    });
+    this.instancedMeshes.clear();
+    this.sprites.forEach((sprite) => {
+      this.group.remove(sprite);
+      sprite.material.dispose();
+    });
+    this.sprites = [];
+    this.meshes = [];
+  }
+
+  // Closest marker hit by `raycaster`: `{ type: "point", distance, index,
+  // point, lat, lng }` or `{ type: "cluster", distance, cluster, lat, lng }`.
+  // `key` identifies the marker until the next rebuild.
+  pick(raycaster) {
+    const meshes = this.meshes.filter((object) => object.isInstancedMesh);
+    const [hit] = raycaster.intersectObjects(meshes, false);
+    if (!hit) {
+      return null;
+    }
+    const item = hit.object.userData.items[hit.instanceId];
+    const { type, index, point, cluster, lat, lng } = item;
+    return type === "point"
+      ? { type, key: item, distance: hit.distance, index, point, lat, lng }
+      : { type, key: item, distance: hit.distance, cluster, lat, lng };
+  }
+
+  onClick(hit) {
+    if (hit.type === "cluster") {
+      this.expandCluster(hit.cluster);
+    }
+  }
+
+  // Zoom in until the cluster splits up
+  expandCluster(cluster) {
+    const altitude = this.world.getCameraDistance() - this.world.earthRadius;
+    return this.world.flyTo({
+      lat: cluster.lat,
+      lng: cluster.lng,
+      distance: this.world.earthRadius + altitude / 2,
+    });
+  }
+
+  dispose() {
+    this.clearMeshes();
+    this.geometries.forEach((geometry) => geometry.dispose());
+    this.geometries.clear();
+    this.labels.forEach((texture) => texture.dispose());
+    this.labels.clear();
+    this.world.earth.remove(this.group);
+  }
+}
+
+function createLabelTexture(text) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 64;
+  canvas.height = 64;
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#ffffff";
+  context.font = `bold ${text.length > 3 ? 20 : 28}px sans-serif`;
+  context.textAlign = "center";
+  context.textBaseline = "middle";
+  context.fillText(text, 32, 32);
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+export { PointLayer, normalizePoints, clusterPoints };
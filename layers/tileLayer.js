@@ -0,0 +1,458 @@
+import * as THREE from "three";
+import { latLngTo3DPosition } from "../utils/geoUtils.js";
+
+const DEFAULT_TILE_SIZE = 256; // px
+const DEFAULT_MAX_SCREEN_SPACE_ERROR = 1.5; // px per texel
+const DEFAULT_CACHE_SIZE = 256; // tiles
+const DEFAULT_MAX_REQUESTS = 6;
+const MAX_SEGMENT_DEGREES = 2; // Tessellation of large tiles
+const MIN_SEGMENTS = 4;
+const MAX_SEGMENTS = 64;
+const MIN_DISTANCE = 0.001; // World units, keeps the error finite
+// Tiles are pulled in front of the earth sphere where the two surfaces meet,
+// and drawn right after it without writing depth, so choropleth fills and
+// selections at the same radius still draw over them
+const DEPTH_OFFSET = -1;
+const TILE_RENDER_ORDER = -1;
+const RETRY_DELAY = 2; // s before a failed tile is requested again
+const MAX_RETRY_DELAY = 60; // s, the delay doubles after every failure
+
+const textureLoader = new THREE.TextureLoader();
+textureLoader.setCrossOrigin("anonymous");
+
+// Web Mercator: latitude of the top edge of tile row `y` (fractional rows
+// give latitudes inside the tile) out of `n` rows
+function tileLat(y, n) {
+  return THREE.MathUtils.radToDeg(
+    Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / n)))
+  );
+}
+
+function tileLng(x, n) {
+  return (x / n) * 360 - 180;
+}
+
+function tileKey(z, x, y) {
+  return `${z}/${x}/${y}`;
+}
+
+// URL of a tile from a template with {z}, {x}, {y}, {-y} (TMS row) and {s}
+// (one of `subdomains`), or from `(z, x, y) => url`. With the "tms" scheme
+// {y} is the TMS row too.
+function tileUrl(
+  template,
+  { z, x, y },
+  { scheme = "xyz", subdomains = "abc" }
+) {
+  const tmsY = 2 ** z - 1 - y;
+  if (typeof template === "function") {
+    return template(z, x, scheme === "tms" ? tmsY : y);
+  }
+  return template
+    .replace("{z}", z)
+    .replace("{x}", x)
+    .replace("{y}", scheme === "tms" ? tmsY : y)
+    .replace("{-y}", tmsY)
+    .replace("{s}", subdomains[(x + y) % subdomains.length]);
+}
+
+function tileSegments(z) {
+  const degrees = 360 / 2 ** z;
+  return THREE.MathUtils.clamp(
+    Math.ceil(degrees / MAX_SEGMENT_DEGREES),
+    MIN_SEGMENTS,
+    MAX_SEGMENTS
+  );
+}
+
+// Patch of the sphere under a tile. Rows are evenly spaced in Mercator y so
+// the texture maps linearly onto them.
+function createTileGeometry({ z, x, y }, radius) {
+  const n = 2 ** z;
+  const segments = tileSegments(z);
+  const west = tileLng(x, n);
+  const east = tileLng(x + 1, n);
+
+  const positions = [];
+  const normals = [];
+  const uvs = [];
+  for (let row = 0; row <= segments; row++) {
+    const v = row / segments; // 0 on the north edge
+    const lat = tileLat(y + v, n);
+    for (let column = 0; column <= segments; column++) {
+      const u = column / segments;
+      const position = latLngTo3DPosition(
+        lat,
+        west + (east - west) * u,
+        radius
+      );
+      positions.push(...position);
+      normals.push(...position.map((coordinate) => coordinate / radius));
+      uvs.push(u, 1 - v);
+    }
+  }
+
+  const indices = [];
+  const columns = segments + 1;
+  for (let row = 0; row < segments; row++) {
+    for (let column = 0; column < segments; column++) {
+      const a = row * columns + column;
+      const b = a + columns;
+      indices.push(a, b, a + 1, a + 1, b, b + 1);
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setIndex(indices);
+  geometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(positions, 3)
+  );
+  geometry.setAttribute("normal", new THREE.Float32BufferAttribute(normals, 3));
+  geometry.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
+  return geometry;
+}
+
+// The spherical cap holding a tile, used for culling and its distance to
+// the camera: `{ direction, angle, sphere, maxCosLat }`. `maxCosLat` is the
+// cosine of the latitude closest to the equator, where texels are largest.
+function tileBounds({ z, x, y }, radius) {
+  const n = 2 ** z;
+  const north = tileLat(y, n);
+  const south = tileLat(y + 1, n);
+  const west = tileLng(x, n);
+  const east = tileLng(x + 1, n);
+  const middleLng = (west + east) / 2;
+
+  const direction = new THREE.Vector3(
+    ...latLngTo3DPosition(tileLat(y + 0.5, n), middleLng, 1)
+  );
+  let angle = 0;
+  [north, south].forEach((lat) => {
+    [west, middleLng, east].forEach((lng) => {
+      const point = new THREE.Vector3(...latLngTo3DPosition(lat, lng, 1));
+      angle = Math.max(angle, direction.angleTo(point));
+    });
+  });
+  // The widest parallel of a tile crossing the equator
+  if (north > 0 && south < 0) {
+    [west, east].forEach((lng) => {
+      const point = new THREE.Vector3(...latLngTo3DPosition(0, lng, 1));
+      angle = Math.max(angle, direction.angleTo(point));
+    });
+  }
+
+  const sphere =
+    angle < Math.PI / 2
+      ? new THREE.Sphere(
+          direction.clone().multiplyScalar(radius * Math.cos(angle)),
+          radius * Math.sin(angle)
+        )
+      : new THREE.Sphere(new THREE.Vector3(), radius);
+  const maxCosLat =
+    north > 0 && south < 0
+      ? 1
+      : Math.max(
+          Math.cos(THREE.MathUtils.degToRad(north)),
+          Math.cos(THREE.MathUtils.degToRad(south))
+        );
+  return { direction, angle, sphere, maxCosLat };
+}
+
+// Raster imagery from an XYZ or TMS tile server (or a local directory of
+// tiles), draped over the globe as a quadtree of sphere patches in Web
+// Mercator. Each frame the quadtree is refined where a tile's texels would
+// cover more than `maxScreenSpaceError` pixels, and only over the visible
+// side of the globe. A tile is replaced by its children once they have all
+// loaded, so the patches on screen never overlap; until the first tiles
+// arrive, and beyond the Mercator latitudes (±85°), the earth's own texture
+// shows through. Tiles are lit like the globe but show no night lights.
+// Tiles that fail to load are requested again after a delay that doubles
+// with every failure.
+//
+// Options:
+//   url                   "https://{s}.example.com/{z}/{x}/{y}.png", or
+//                         `(z, x, y) => url`; {-y} is the TMS row
+//   scheme                "xyz" (row 0 at the north) or "tms"
+//   subdomains            values of {s}
+//   minZoom, maxZoom      zoom levels the server provides
+//   tileSize              px
+//   maxScreenSpaceError   px a texel may cover before tiles are refined
+//   cacheSize             tiles kept in memory, least recently used evicted
+//   maxRequests           concurrent tile downloads
+class TileLayer {
+  constructor(world, options = {}) {
+    const {
+      url,
+      scheme = "xyz",
+      subdomains = "abc",
+      minZoom = 1,
+      maxZoom = 18,
+      tileSize = DEFAULT_TILE_SIZE,
+      maxScreenSpaceError = DEFAULT_MAX_SCREEN_SPACE_ERROR,
+      cacheSize = DEFAULT_CACHE_SIZE,
+      maxRequests = DEFAULT_MAX_REQUESTS,
+    } = options;
+    if (!url) {
+      throw new Error("TileLayer needs a tile url");
+    }
+
+    this.world = world;
+    this.url = url;
+    this.urlOptions = { scheme, subdomains };
+    this.minZoom = minZoom;
+    this.maxZoom = maxZoom;
+    this.tileSize = tileSize;
+    this.maxScreenSpaceError = maxScreenSpaceError;
+    this.cacheSize = cacheSize;
+    this.maxRequests = maxRequests;
+
+    this.group = new THREE.Group();
+    this.group.name = "tiles";
+    this.tiles = new Map(); // "z/x/y" -> tile, see getTile()
+    this.frame = 0; // Tiles used this frame have `lastUsed === frame`
+    this.time = 0; // s, for retrying failed tiles
+    this.requests = []; // Tiles to download, collected while traversing
+    this.loading = 0;
+    this.disposed = false;
+
+    // Camera position and frustum in the earth's frame, updated every tick
+    this.camera = new THREE.Vector3();
+    this.frustum = new THREE.Frustum();
+    this.matrix = new THREE.Matrix4();
+  }
+
+  load() {
+    this.world.earth.add(this.group);
+    this.world.events.emit("layerloaded", { layer: "tiles" });
+    return this;
+  }
+
+  // A tile is `{ z, x, y, key, bounds, state, texture, mesh, lastUsed,
+  // failures, retryAt }`, with `state` "idle", "loading", "loaded" or
+  // "failed"
+  getTile(z, x, y) {
+    const key = tileKey(z, x, y);
+    let tile = this.tiles.get(key);
+    if (!tile) {
+      tile = { z, x, y, key, state: "idle", texture: null, mesh: null };
+      tile.failures = 0;
+      tile.retryAt = 0;
+      tile.bounds = tileBounds(tile, this.world.earthRadius);
+      this.tiles.set(key, tile);
+    }
+    tile.lastUsed = this.frame;
+    return tile;
+  }
+
+  children({ z, x, y }) {
+    return [
+      this.getTile(z + 1, x * 2, y * 2),
+      this.getTile(z + 1, x * 2 + 1, y * 2),
+      this.getTile(z + 1, x * 2, y * 2 + 1),
+      this.getTile(z + 1, x * 2 + 1, y * 2 + 1),
+    ];
+  }
+
+  // In the camera's frustum and not entirely behind the horizon
+  isVisible(tile) {
+    const { direction, angle, sphere } = tile.bounds;
+    if (!this.frustum.intersectsSphere(sphere)) {
+      return false;
+    }
+    const distance = this.camera.length();
+    const radius = this.world.earthRadius;
+    if (distance <= radius) {
+      return true;
+    }
+    const horizon = Math.acos(radius / distance);
+    return direction.angleTo(this.camera) < horizon + angle;
+  }
+
+  cameraDistance(tile) {
+    return Math.max(
+      tile.bounds.sphere.distanceToPoint(this.camera),
+      MIN_DISTANCE
+    );
+  }
+
+  // Texels of the tile would cover more than `maxScreenSpaceError` pixels
+  needsRefinement(tile) {
+    const texel =
+      (2 * Math.PI * this.world.earthRadius * tile.bounds.maxCosLat) /
+      (2 ** tile.z * this.tileSize);
+    const pixels = (texel * this.pixelsPerUnit) / this.cameraDistance(tile);
+    return pixels > this.maxScreenSpaceError;
+  }
+
+  // Shows `tile` or, when it needs refining and its visible children are
+  // all ready, the children in its place
+  visit(tile, visible) {
+    if (!this.isVisible(tile)) {
+      return;
+    }
+    if (tile.state !== "loaded") {
+      this.request(tile);
+      return;
+    }
+
+    if (tile.z < this.maxZoom && this.needsRefinement(tile)) {
+      const children = this.children(tile).filter((child) =>
+        this.isVisible(child)
+      );
+      if (
+        children.length > 0 &&
+        children.every((child) => child.state === "loaded")
+      ) {
+        children.forEach((child) => this.visit(child, visible));
+        return;
+      }
+      children.forEach((child) => this.request(child));
+    }
+    visible.add(tile);
+  }
+
+  request(tile) {
+    if (tile.state === "failed" && this.time >= tile.retryAt) {
+      tile.state = "idle";
+    }
+    if (tile.state === "idle") {
+      tile.distance = this.cameraDistance(tile);
+      this.requests.push(tile);
+    }
+  }
+
+  // Coarse and close tiles first
+  startRequests() {
+    this.requests.sort((a, b) => a.z - b.z || a.distance - b.distance);
+    for (const tile of this.requests) {
+      if (this.loading >= this.maxRequests) {
+        break;
+      }
+      this.loadTile(tile);
+    }
+    this.requests = [];
+  }
+
+  async loadTile(tile) {
+    const url = tileUrl(this.url, tile, this.urlOptions);
+    tile.state = "loading";
+    this.loading++;
+    try {
+      const texture = await textureLoader.loadAsync(url);
+      if (this.disposed || !this.tiles.has(tile.key)) {
+        texture.dispose();
+        return;
+      }
+      tile.texture = texture;
+      tile.mesh = new THREE.Mesh(
+        createTileGeometry(tile, this.world.earthRadius),
+        new THREE.MeshPhongMaterial({
+          map: texture,
+          depthWrite: false,
+          polygonOffset: true,
+          polygonOffsetFactor: DEPTH_OFFSET,
+          polygonOffsetUnits: DEPTH_OFFSET,
+        })
+      );
+      tile.mesh.name = tile.key;
+      tile.mesh.renderOrder = TILE_RENDER_ORDER;
+      tile.mesh.visible = false; // Until the next traversal shows it
+      this.group.add(tile.mesh);
+      tile.state = "loaded";
+      tile.failures = 0;
+    } catch (error) {
+      tile.state = "failed";
+      tile.failures++;
+      const delay = Math.min(
+        RETRY_DELAY * 2 ** (tile.failures - 1),
+        MAX_RETRY_DELAY
+      );
+      tile.retryAt = this.time + delay;
+      this.world.events.emit("warning", {
+        message: `Failed to load tile ${tile.key}, retrying in ${delay}s`,
+        url,
+        error,
+      });
+    } finally {
+      this.loading--;
+    }
+  }
+
+  // Least recently used tiles go first; tiles on screen or downloading stay
+  evictTiles() {
+    if (this.tiles.size <= this.cacheSize) {
+      return;
+    }
+    const candidates = [...this.tiles.values()]
+      .filter((tile) => tile.lastUsed < this.frame && tile.state !== "loading")
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+    const excess = this.tiles.size - this.cacheSize;
+    candidates.slice(0, excess).forEach((tile) => this.removeTile(tile));
+  }
+
+  removeTile(tile) {
+    if (tile.mesh) {
+      this.group.remove(tile.mesh);
+      tile.mesh.geometry.dispose();
+      tile.mesh.material.dispose();
+      tile.texture.dispose();
+    }
+    this.tiles.delete(tile.key);
+  }
+
+  // Called every frame by the world's loop
+  tick(delta = 0) {
+    const { camera, earth, renderer } = this.world;
+    this.frame++;
+    this.time += delta;
+
+    earth.updateWorldMatrix(true, false);
+    this.matrix.copy(earth.matrixWorld).invert();
+    this.camera
+      .setFromMatrixPosition(camera.matrixWorld)
+      .applyMatrix4(this.matrix);
+    this.frustum.setFromProjectionMatrix(
+      this.matrix
+        .multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+        .multiply(earth.matrixWorld)
+    );
+    const height = renderer.domElement.clientHeight || window.innerHeight;
+    const fov = THREE.MathUtils.degToRad(camera.fov);
+    this.pixelsPerUnit = height / (2 * Math.tan(fov / 2));
+
+    const visible = new Set();
+    const n = 2 ** this.minZoom;
+    for (let x = 0; x < n; x++) {
+      for (let y = 0; y < n; y++) {
+        this.visit(this.getTile(this.minZoom, x, y), visible);
+      }
+    }
+    this.tiles.forEach((tile) => {
+      if (tile.mesh) {
+        tile.mesh.visible = visible.has(tile);
+      }
+    });
+
+    this.startRequests();
+    this.evictTiles();
+  }
+
+  // Tiles in memory, downloading and on screen
+  stats() {
+    const tiles = [...this.tiles.values()];
+    return {
+      cached: tiles.filter((tile) => tile.state === "loaded").length,
+      loading: this.loading,
+      visible: tiles.filter((tile) => tile.mesh && tile.mesh.visible).length,
+    };
+  }
+
+  dispose() {
+    this.disposed = true;
+    [...this.tiles.values()].forEach((tile) => this.removeTile(tile));
+    this.world.earth.remove(this.group);
+  }
+}
+
+export { TileLayer, tileUrl, createTileGeometry };
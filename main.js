@@ -1,33 +1,192 @@
 import * as THREE from "three";
-import * as turf from "@turf/turf";
 import { createEarth } from "./components/earth.js";
 import { createCamera } from "./components/camera.js";
 import { createScene } from "./components/scene.js";
 import { createLight } from "./components/light.js";
+import { createAtmosphere } from "./components/atmosphere.js";
+import { createClouds } from "./components/clouds.js";
+import { createStarfield } from "./components/starfield.js";
 import { createRenderer } from "./systems/renderer.js";
 import { createControls } from "./systems/cameraControls.js";
 import { Resizer } from "./systems/resizer.js";
+import { Loop } from "./systems/loop.js";
+import { Timeline } from "./systems/timeline.js";
+import { Sun } from "./systems/sun.js";
 import {
   generateCountryOutlines,
   loadGlbMesh,
   polygonsToMesh,
+  createFillMaterial,
+  serializeMeshes,
+  deserializeMeshes,
+  serializedSize,
+  meshEvents,
 } from "./utils/meshUtils.js";
 import {
   calculatePolygonCentroid,
   latLngTo3DPosition,
+  positionToLatLng,
+  collectPositions,
+  sphericalExtent,
 } from "./utils/geoUtils.js";
+import { EventEmitter } from "./utils/eventEmitter.js";
+import { SpatialIndex, buildCountryIndex } from "./utils/spatialIndex.js";
+import {
+  buildBorders,
+  buildTopologyBorders,
+  createBorderLines,
+} from "./utils/borderUtils.js";
+import { Topology } from "./utils/topojson.js";
+import { geoJsonToObject3D, disposeObject3D } from "./utils/featureUtils.js";
+import { parseGpx, parseKml, parseCsv } from "./utils/importers.js";
+import { CountryLookup } from "./utils/countryLookup.js";
+import { createColorScale } from "./utils/colorScales.js";
+import { ChoroplethLayer } from "./layers/choroplethLayer.js";
+import { PointLayer } from "./layers/pointLayer.js";
+import { ArcLayer } from "./layers/arcLayer.js";
+import { TileLayer } from "./layers/tileLayer.js";
+import { AssetManifest, defaultFetcher } from "./utils/assetManifest.js";
+import { MeshCache, hashString } from "./utils/meshCache.js";
 
 const MARGIN = 24; // Margin in units on each side
 const INITIAL_EARTH_RADIUS = 100;
 const MAX_EARTH_RADIUS = 200;
+const DEFAULT_FLIGHT_DURATION = 800; // ms
+const DEFAULT_FIT_PADDING = 20; // px
+
+// Easing functions accepted by name in flyTo()
+const EASINGS = {
+  linear: (t) => t,
+  easeInOutCubic: (t) =>
+    t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+};
+
+const HOVER_THROTTLE_MS = 50; // Minimum delay between two hover hit-tests
+const HOVER_COLOR = 0xffffff;
+const HOVER_OPACITY = 0.35;
+
+// Style of a selected country. `outlineColor: null` draws no outline.
+// `outlineWidth` is in pixels; `outlineStyle` takes the other line style
+// options (dashes, glow, depthTest), see utils/lineUtils.js. `render` is the
+// polygonsToMesh() style: "mesh" fills the country with `color`/`opacity`,
+// "pin", "lines" and "extrude" draw those objects with their own colors,
+// "lines" in the outline's width and style.
+// A string style is short for `{ render: style }`.
+const DEFAULT_SELECTION_STYLE = {
+  render: "mesh",
+  color: 0xff0000, // Highlighted countries have always been red, GLB or not
+  opacity: 1,
+  outlineColor: null,
+  outlineOpacity: 1,
+  outlineWidth: 2,
+  outlineStyle: null,
+};
+
+// Events that can be subscribed to with `world.on(type, listener)`:
+//   countryclick     { code, lat, lng, properties, originalEvent }
+//   countryhover     { code, lat, lng, properties, originalEvent }
+//   highlightchange  { selection, added, removed }
+//   rotationstart    { lat, lng, distance }
+//   rotationend      { lat, lng, distance, cancelled }
+//   layerloaded      { layer, code? }
+//   timechange       { time, label, index, progress, playing }
+//   pointclick       { layer, type, point?, index?, cluster?, lat, lng,
+//                      originalEvent }, type is "point" or "cluster"
+//   pointhover       same as pointclick, with type null when leaving
+//   arcclick         { layer, type, arc, index, lat, lng, originalEvent },
+//                    arc is `{ start, end, properties }`
+//   archover         same as arcclick, with type null when leaving
+//   error            { message, error?, code? }
+//   warning          { message, ... }
+//   debug            { message, ... }
+// `code` is null when the pointer hits the globe outside of any country.
+const WORLD_EVENTS = [
+  "countryclick",
+  "countryhover",
+  "highlightchange",
+  "rotationstart",
+  "rotationend",
+  "layerloaded",
+  "timechange",
+  "pointclick",
+  "pointhover",
+  "arcclick",
+  "archover",
+  "error",
+  "warning",
+  "debug",
+];
+
+// Store `promise` in `cache` under `key`, dropping it again if it rejects so
+// the next call retries instead of failing forever
+function cachePromise(cache, key, promise) {
+  cache[key] = promise;
+  promise.catch(() => {
+    if (cache[key] === promise) {
+      delete cache[key];
+    }
+  });
+  return promise;
+}
+
+// Fill meshes share the cached country geometry, outlines and the objects
+// of other render styles don't
+function disposeSelectionObjects(objects) {
+  objects.forEach((object) => {
+    object.traverse((child) => {
+      if (child.material) {
+        child.material.dispose();
+      }
+      if (object.userData.ownsGeometry && child.geometry) {
+        child.geometry.dispose();
+      }
+    });
+  });
+}
 
 let controls;
 let resizer;
 
-let boundingBoxes = {};
-
 class World {
-  constructor(container) {
+  constructor(container, options = {}) {
+    // `manifest` describes where assets live (see AssetManifest) and
+    // `fetcher` is the fetch-compatible function used to download them.
+    // `cache` is a MeshCache, MeshCache options, or false to disable it.
+    // `sun` lights the globe from the sun's position, see enableSun().
+    // `atmosphere`, `clouds`, `stars` and `surfaceMaps` turn on environment
+    // components, see setEnvironment().
+    const {
+      hover = false,
+      manifest,
+      fetcher = defaultFetcher,
+      lod,
+      cache = {},
+      sun = false,
+      atmosphere = false,
+      clouds = false,
+      stars = false,
+      surfaceMaps = false,
+    } = options;
+    this.manifest = new AssetManifest(manifest);
+    this.fetcher = fetcher;
+    this.lod = lod;
+    this.meshCache =
+      cache === false
+        ? null
+        : cache instanceof MeshCache
+          ? cache
+          : new MeshCache({ version: this.manifest.version, ...cache });
+
+    this.events = new EventEmitter(WORLD_EVENTS);
+
+    // Forward diagnostics from the mesh pipeline to our own listeners, until
+    // dispose()
+    this.meshEventUnsubscribers = ["error", "warning", "debug"].map((type) =>
+      meshEvents.on(type, (event) => this.events.emit(type, event))
+    );
+
     const containerWidth = container.clientWidth;
     this.earthRadius = Math.min(
       (containerWidth - MARGIN * 2) / 2,
@@ -36,14 +195,22 @@ class World {
 
     this.camera = createCamera(container);
     this.scene = createScene();
-    this.earth = createEarth(this.earthRadius, 32);
+    this.earth = createEarth(
+      this.earthRadius,
+      32,
+      this.manifest.resolve(this.manifest.earthTexture)
+    );
     this.renderer = createRenderer();
     container.append(this.renderer.domElement);
 
     this.scene.add(this.earth);
+    this.loop = new Loop(this.camera, this.scene, this.renderer);
 
     const { mainLight, ambientLight } = createLight();
     this.scene.add(mainLight, ambientLight);
+    this.mainLight = mainLight;
+    this.ambientLight = ambientLight;
+    this.sun = null; // Sun mode, see enableSun()
 
     controls = createControls(this.camera, container);
     controls.enableZoom = true;
@@ -51,227 +218,481 @@ class World {
     controls.maxDistance = MAX_EARTH_RADIUS * 2;
     resizer = new Resizer(container, this.camera, this.renderer);
 
-    this.previousTargetLatLng = { lat: 0, lng: -90 };
+    // Current flyTo() animation, cancelled when the user grabs the globe
+    this.flight = null;
+    controls.addEventListener("start", () => this.cancelFlight());
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    window.addEventListener("mousedown", this.onPointerDown, false);
+    window.addEventListener("touchstart", this.onPointerDown, false);
+
+    // Selected countries: code -> { style, objects }, see getSelection()
+    this.selection = new Map();
+    this.countryMeshCache = {};
+    this.layers = [];
+    this.countryCentersLoaded = this.loadCountryCenters();
+    this.countryIndex = null; // Loaded on demand, see loadCountryIndex()
+    this.countryLookup = new CountryLookup({
+      fetcher: this.fetcher,
+      countryUrl: (code) => this.manifest.countryUrl(code, "geojson", this.lod),
+    });
+    this.countriesGeoJsonCache = {};
+
+    // Hover state, see setHoverEnabled()
+    this.hoveredCountry = null;
+    this.hoveredLayerItem = null; // Pick result of a layer item
+    this.hoverGeometries = [];
+    this.hoverMeshCache = {};
+    this.hoverRequestId = 0;
+    this.hoverTimer = null;
+    this.pendingHoverEvent = null;
+    this.hoverMaterial = new THREE.MeshBasicMaterial({
+      color: HOVER_COLOR,
+      transparent: true,
+      opacity: HOVER_OPACITY,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+    });
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.clearHover = this.clearHover.bind(this);
+    this.setHoverEnabled(hover);
 
-    window.addEventListener("mousedown", this.onPointerDown.bind(this), false);
-    window.addEventListener("touchstart", this.onPointerDown.bind(this), false);
+    // Environment components, see setEnvironment()
+    this.environment = { atmosphere: null, clouds: null, stars: null };
+    this.setEnvironment({ atmosphere, clouds, stars, surfaceMaps });
 
-    this.currentlyHighlighted = null; // Store the currently highlighted country mesh
-    this.previousGeometries = [];
-    this.loadCountryCenters();
-    this.countriesGeoJsonCache = {};
+    if (sun) {
+      this.enableSun(sun === true ? {} : sun);
+    }
+  }
+
+  async fetchJson(path) {
+    const response = await this.fetcher(this.manifest.resolve(path));
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${path}: ${response.status}`);
+    }
+    return response.json();
   }
 
   async loadCountryCenters() {
     try {
-      const response = await fetch("./countryCenter.json");
-      this.countryCenters = await response.json();
-      console.log("Country centers loaded.");
+      const centers = this.manifest.countryCenters
+        ? await this.fetchJson(this.manifest.countryCenters)
+        : {};
+      // Centers listed in the manifest win over the centers file
+      this.countryCenters = {
+        ...centers,
+        ...this.manifest.countryCenterOverrides(),
+      };
+      this.events.emit("layerloaded", { layer: "countryCenters" });
     } catch (err) {
-      console.error("Error loading country centers:", err);
+      this.events.emit("error", {
+        message: "Error loading country centers",
+        error: err,
+      });
     }
   }
 
+  on(type, listener) {
+    return this.events.on(type, listener);
+  }
+
+  once(type, listener) {
+    return this.events.once(type, listener);
+  }
+
+  off(type, listener) {
+    this.events.off(type, listener);
+  }
+
   start() {
-    this.renderer.setAnimationLoop(() => {
-      this.renderer.render(this.scene, this.camera);
-    });
+    this.loop.start();
   }
 
   stop() {
-    this.renderer.setAnimationLoop(null);
+    this.loop.stop();
   }
 
-  async drawCountryOutlines(geojson, color) {
-    const mesh = await generateCountryOutlines(geojson, color);
-    this.earth.add(mesh);
+  // Stop rendering and detach the world from the page and from the shared
+  // mesh pipeline events
+  dispose() {
+    this.loop.stop();
+    this.meshEventUnsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.meshEventUnsubscribers = [];
+    window.removeEventListener("mousedown", this.onPointerDown, false);
+    window.removeEventListener("touchstart", this.onPointerDown, false);
+    this.setHoverEnabled(false);
+    [...this.layers].forEach((layer) => this.removeLayer(layer));
+    this.disableSun();
+    this.renderer.dispose();
+    this.renderer.domElement.remove();
   }
-  resetGlobePosition() {
-    const [x, y, z] = latLngTo3DPosition(0, -90, this.earthRadius);
-    const direction = new THREE.Vector3(x, y, z).normalize();
-    this.earth.quaternion.setFromUnitVectors(
-      new THREE.Vector3(0, 0, 1),
-      direction
+
+  // `lineStyle` draws screen-space lines, see utils/lineUtils.js
+  async drawCountryOutlines(geojson, color, lineStyle = null) {
+    const mesh = await generateCountryOutlines(
+      geojson,
+      color,
+      this.earthRadius,
+      lineStyle
     );
+    this.earth.add(mesh);
   }
 
-  positionToLatLng(position) {
-    // Create a quaternion to hold the inverse of the Earth's rotation
-    const inverseQuaternion = this.earth.quaternion.clone().invert();
-
-    // Apply the inverse rotation to the position vector
-    const rotatedPosition = position.clone().applyQuaternion(inverseQuaternion);
-
-    // Normalize the rotated position vector
-    const normalizedPosition = rotatedPosition.normalize();
+  // Draw each border once, styled by type: "coastline", "border" (between
+  // two countries) or "disputed". `styles` overrides DEFAULT_BORDER_STYLES
+  // per type, `false` hides a type. Replaces previously drawn borders.
+  async drawBorders({ codes, styles } = {}) {
+    const segments = await this.buildBorderSegments(codes);
+    this.removeBorders();
+    this.borders = createBorderLines(segments, this.earthRadius, styles);
+    this.earth.add(this.borders);
+    this.events.emit("layerloaded", { layer: "borders" });
+    return this.borders;
+  }
 
-    // Calculate the latitude
-    const lat = Math.asin(normalizedPosition.y) * (180 / Math.PI);
+  // Draw any GeoJSON (points, lines, polygons, geometry collections) on
+  // the globe, styled by simplestyle properties, see utils/featureUtils.js.
+  // `style` is the fallback for features without style properties.
+  async addGeoJson(geoJson, { style } = {}) {
+    const object = await geoJsonToObject3D(geoJson, {
+      radius: this.earthRadius,
+      style,
+    });
+    this.earth.add(object);
+    this.events.emit("layerloaded", { layer: "geojson" });
+    return object;
+  }
 
-    // Calculate the longitude
-    const lng =
-      Math.atan2(normalizedPosition.z, normalizedPosition.x) * (180 / Math.PI);
-    const adjustedLng = ((lng + 180) % 360) - 180;
-    console.log(lng, adjustedLng);
+  // Download a GPX, KML, CSV or GeoJSON file and draw it like addGeoJson().
+  // `format` defaults to the file extension; `csv` takes the parseCsv()
+  // options (latColumn, lngColumn, delimiter, numbers).
+  async addDataFile(url, { format, style, csv } = {}) {
+    const type = (
+      format || url.split(/[?#]/)[0].split(".").pop()
+    ).toLowerCase();
+    const response = await this.fetcher(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url}: ${response.status}`);
+    }
+    const text = await response.text();
+
+    let geoJson;
+    if (type === "gpx") {
+      geoJson = parseGpx(text);
+    } else if (type === "kml") {
+      geoJson = parseKml(text);
+    } else if (type === "csv") {
+      geoJson = parseCsv(text, csv);
+    } else if (type === "json" || type === "geojson") {
+      geoJson = JSON.parse(text);
+    } else {
+      throw new Error(`Unsupported data file format: ${type}`);
+    }
+    return this.addGeoJson(geoJson, { style });
+  }
 
-    return { lat, lng: 0 - adjustedLng };
+  removeGeoJson(object) {
+    this.earth.remove(object);
+    disposeObject3D(object);
   }
 
-  getGlobeCenterLatLng() {
-    const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(
-      this.earth.quaternion
-    );
-    const adjustedDirection = direction.applyAxisAngle(
-      new THREE.Vector3(0, 1, 0),
-      THREE.MathUtils.degToRad(90)
-    );
-    const latLng = this.positionToLatLng(adjustedDirection);
+  // Shared arcs of the TopoJSON file when there is one, otherwise edges
+  // matched across the per-country GeoJSON files
+  async buildBorderSegments(codes) {
+    const topology = await this.loadTopology();
+    if (topology) {
+      const wanted = codes && new Set(codes.map((code) => code.toLowerCase()));
+      const { topoJsonObject } = this.manifest;
+      return buildTopologyBorders(topology, topoJsonObject, (geometry) =>
+        this.topologyCode(geometry)
+      ).filter(
+        (segment) =>
+          !wanted || segment.countries.some((code) => wanted.has(code))
+      );
+    }
 
-    console.log(
-      `Globe center direction: ${direction.toArray()}, Adjusted direction: ${adjustedDirection.toArray()}, LatLng: ${
-        latLng.lat
-      }, ${latLng.lng}`
+    const geoJsons = await Promise.all(
+      (codes || (await this.countryCodes())).map(async (code) => {
+        const geoJson = await this.loadCountryGeoJson(code);
+        return geoJson && { ...geoJson, name: code };
+      })
     );
-    return latLng;
+    return buildBorders(geoJsons);
   }
 
-  rotateGlobeTo(targetLatLng, onComplete) {
-    // Current globe center point in lat/lng
-    // const currentLatLng = this.getGlobeCenterLatLng();
+  removeBorders() {
+    if (!this.borders) {
+      return;
+    }
+    this.earth.remove(this.borders);
+    const materials = new Set();
+    this.borders.traverse((child) => {
+      if (child.geometry) {
+        child.geometry.dispose();
+        materials.add(child.material);
+      }
+    });
+    materials.forEach((material) => material.dispose());
+    this.borders = null;
+  }
 
-    const initialLatLng = this.previousTargetLatLng;
-    // Normalize the longitude difference for the shortest path
-    const normalizeAngle = (angle) => {
-      return ((angle + 180) % 360) - 180;
-    };
+  resetGlobePosition() {
+    this.cancelFlight();
+    this.earth.quaternion.copy(this.orientationFor({ lat: 0, lng: -90 }));
+  }
 
-    const azimuthalAngle = normalizeAngle(targetLatLng.lng - initialLatLng.lng);
-    const azimuthalRotation = THREE.MathUtils.degToRad(azimuthalAngle);
+  positionToLatLng(position) {
+    // Undo the Earth's rotation to get the position in its local frame
+    const inverseQuaternion = this.earth.quaternion.clone().invert();
+    const localPosition = position.clone().applyQuaternion(inverseQuaternion);
+    return positionToLatLng(localPosition.x, localPosition.y, localPosition.z);
+  }
 
-    // Calculate polar rotation based on latitudinal change
-    const polarAngle = targetLatLng.lat - initialLatLng.lat;
-    const polarRotation = THREE.MathUtils.degToRad(polarAngle);
+  // Distance from the camera to the center of the globe
+  getCameraDistance() {
+    return this.camera.position.distanceTo(controls.target);
+  }
 
-    // Create quaternions for each rotation
-    const azimuthalQuaternion = new THREE.Quaternion().setFromAxisAngle(
-      new THREE.Vector3(0, 1, 0), // Rotate around Y-axis for longitude
-      -azimuthalRotation
-    );
+  // The point of the globe facing the camera
+  getGlobeCenterLatLng() {
+    const direction = this.camera.position.clone().sub(controls.target);
+    return this.positionToLatLng(direction);
+  }
 
-    const polarQuaternion = new THREE.Quaternion().setFromAxisAngle(
-      new THREE.Vector3(1, 0, 0), // Rotate around X-axis for latitude
-      polarRotation
+  // Earth orientation that puts `lat`/`lng` in front of the camera with north
+  // pointing up on screen, independent of the current orientation
+  orientationFor({ lat, lng }) {
+    const up = new THREE.Vector3(0, 1, 0);
+
+    // Local frame of the target point on the globe
+    const localForward = new THREE.Vector3(
+      ...latLngTo3DPosition(lat, lng, 1)
+    ).normalize();
+    const localUp = up
+      .clone()
+      .sub(localForward.clone().multiplyScalar(up.dot(localForward)));
+    if (localUp.lengthSq() < 1e-8) {
+      // At the poles any meridian can point up, use the prime meridian
+      localUp.set(-Math.sign(lat), 0, 0);
+    }
+    localUp.normalize();
+    const localRight = localUp.clone().cross(localForward);
+
+    // World frame seen from the camera
+    const forward = this.camera.position
+      .clone()
+      .sub(controls.target)
+      .normalize();
+    const worldUp = this.camera.up
+      .clone()
+      .sub(forward.clone().multiplyScalar(this.camera.up.dot(forward)))
+      .normalize();
+    const right = worldUp.clone().cross(forward);
+
+    const localBasis = new THREE.Matrix4().makeBasis(
+      localRight,
+      localUp,
+      localForward
     );
-
-    // Combine rotations: first apply polar rotation, then azimuthal
-    const finalRotation = polarQuaternion.multiply(azimuthalQuaternion);
-
-    this.animateRotation(finalRotation, onComplete);
+    const worldBasis = new THREE.Matrix4().makeBasis(right, worldUp, forward);
+    const rotation = worldBasis.multiply(localBasis.transpose());
+    return new THREE.Quaternion().setFromRotationMatrix(rotation);
   }
 
-  animateRotation(finalRotation, onComplete) {
-    let duration = 800;
-    const startTime = Date.now();
-
-    const startRotation = this.earth.quaternion.clone(); // Clone the initial quaternion
-
-    const animate = () => {
-      const currentTime = Date.now();
-      const fraction = (currentTime - startTime) / duration;
+  // Rotate the globe so `lat`/`lng` faces the camera and zoom to `distance`
+  // (camera distance from the globe center, clamped to the controls limits).
+  // Resolves to true when the flight completes and false when it is cancelled
+  // by another flight or by the user grabbing the globe.
+  flyTo({
+    lat,
+    lng,
+    distance,
+    duration = DEFAULT_FLIGHT_DURATION,
+    easing = "easeInOutCubic",
+  }) {
+    this.cancelFlight();
+
+    const ease = typeof easing === "function" ? easing : EASINGS[easing];
+    if (!ease) {
+      throw new Error(`Unknown easing "${easing}"`);
+    }
 
-      if (fraction < 1) {
-        // Update the quaternion by interpolating between the start and the target
-        this.earth.quaternion
-          .copy(startRotation)
-          .slerp(finalRotation, fraction);
-        requestAnimationFrame(animate);
-      } else {
-        // Make sure we end precisely at the final rotation
-        this.earth.quaternion.copy(finalRotation);
-        if (typeof onComplete === "function") {
-          onComplete(); // Call the completion callback if provided
+    const startRotation = this.earth.quaternion.clone();
+    const endRotation = this.orientationFor({ lat, lng });
+    const offset = this.camera.position.clone().sub(controls.target);
+    const startDistance = offset.length();
+    const endDistance = THREE.MathUtils.clamp(
+      distance === undefined ? startDistance : distance,
+      controls.minDistance,
+      controls.maxDistance
+    );
+    const startTime = performance.now();
+
+    this.events.emit("rotationstart", { lat, lng, distance: endDistance });
+
+    return new Promise((resolve) => {
+      const flight = {
+        frame: null,
+        finish: (completed) => {
+          cancelAnimationFrame(flight.frame);
+          this.flight = null;
+          this.events.emit("rotationend", {
+            lat,
+            lng,
+            distance: endDistance,
+            cancelled: !completed,
+          });
+          resolve(completed);
+        },
+      };
+      this.flight = flight;
+
+      const animate = () => {
+        const fraction =
+          duration > 0 ? (performance.now() - startTime) / duration : 1;
+        const t = ease(Math.min(fraction, 1));
+
+        this.earth.quaternion.slerpQuaternions(startRotation, endRotation, t);
+        offset.setLength(startDistance + (endDistance - startDistance) * t);
+        this.camera.position.copy(controls.target).add(offset);
+
+        if (fraction < 1) {
+          flight.frame = requestAnimationFrame(animate);
+        } else {
+          flight.finish(true);
         }
-      }
-    };
+      };
 
-    animate();
+      animate();
+    });
   }
 
-  removePreviousGeometries() {
-    if (this.previousGeometries.length > 0) {
-      this.previousGeometries.forEach((geometryId) => {
-        const geometry = this.earth.getObjectByProperty("uuid", geometryId);
-        if (geometry) {
-          this.earth.remove(geometry);
-        }
+  cancelFlight() {
+    if (this.flight) {
+      this.flight.finish(false);
+    }
+  }
+
+  // Fly to the view that fits a GeoJSON object, or a country given by its ISO
+  // code, with `padding` pixels around it. Bounds too small or too large for
+  // the controls' zoom limits are fitted as closely as the limits allow, see
+  // distanceToFit().
+  async fitBounds(
+    geoJsonOrCode,
+    { padding = DEFAULT_FIT_PADDING, ...flight } = {}
+  ) {
+    const geoJson =
+      typeof geoJsonOrCode === "string"
+        ? await this.loadCountryGeoJson(geoJsonOrCode)
+        : geoJsonOrCode;
+    const positions = collectPositions(geoJson);
+    const extent = sphericalExtent(positions);
+    if (!extent) {
+      this.events.emit("error", {
+        message: "Cannot fit bounds of an empty geometry",
+        code: typeof geoJsonOrCode === "string" ? geoJsonOrCode : undefined,
       });
-      this.previousGeometries = []; // Reset the array to an empty state
+      return false;
     }
+
+    const { center } = extent;
+    const distance = this.distanceToFit(positions, center, padding);
+    return this.flyTo({ ...center, distance, ...flight });
   }
 
-  async prepareCountryMeshes(geoJsons) {
-    for (let i = 0; i < geoJsons.length; i++) {
-      const geoJson = geoJsons[i];
-      await polygonsToMesh(geoJson);
+  // Camera distance at which every position fits the canvas once `center`
+  // faces the camera, north up. The distance is clamped to the controls'
+  // minDistance/maxDistance, with a "warning" when that keeps the positions
+  // from fitting.
+  distanceToFit(positions, center, padding) {
+    const radius = this.earthRadius;
+    const canvas = this.renderer.domElement;
+    const width = canvas.clientWidth || window.innerWidth;
+    const height = canvas.clientHeight || window.innerHeight;
+
+    const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+    const tanVertical = tanHalfFov * Math.max(1 - (2 * padding) / height, 0.1);
+    const tanHorizontal =
+      tanHalfFov *
+      this.camera.aspect *
+      Math.max(1 - (2 * padding) / width, 0.1);
+
+    // Tangent frame at the center: east and north are the screen axes
+    const forward = new THREE.Vector3(
+      ...latLngTo3DPosition(center.lat, center.lng, 1)
+    );
+    const north = new THREE.Vector3(0, 1, 0)
+      .sub(forward.clone().multiplyScalar(forward.y))
+      .normalize();
+    if (north.lengthSq() === 0) {
+      north.set(1, 0, 0);
     }
+    const east = north.clone().cross(forward);
+
+    const point = new THREE.Vector3();
+    let distance = 0;
+    positions.forEach(([lng, lat]) => {
+      point.set(...latLngTo3DPosition(lat, lng, radius));
+      const depth = point.dot(forward);
+      distance = Math.max(
+        distance,
+        depth + Math.abs(point.dot(east)) / tanHorizontal,
+        depth + Math.abs(point.dot(north)) / tanVertical
+      );
+    });
+
+    const clamped = THREE.MathUtils.clamp(
+      distance,
+      controls.minDistance,
+      controls.maxDistance
+    );
+    if (clamped !== distance) {
+      this.events.emit("warning", {
+        message: `Camera distance ${Math.round(distance)} to fit the bounds is outside the zoom limits, using ${clamped}`,
+        distance,
+        minDistance: controls.minDistance,
+        maxDistance: controls.maxDistance,
+      });
+    }
+    return clamped;
   }
 
-  async generateBoundingBoxes(geoJsons) {
-    const boundingBoxes = {};
+  // Kept for existing callers, see flyTo()
+  rotateGlobeTo(targetLatLng, onComplete) {
+    return this.flyTo(targetLatLng).then((completed) => {
+      if (typeof onComplete === "function") {
+        onComplete(completed);
+      }
+      return completed;
+    });
+  }
 
+  async prepareCountryMeshes(geoJsons) {
     for (let i = 0; i < geoJsons.length; i++) {
       const geoJson = geoJsons[i];
-      console.log("Generating bounding boxes for", geoJson.name, i);
-      const meshes = await polygonsToMesh(geoJson, undefined, false); // `false` indicates not to merge meshes
-
-      if (Array.isArray(meshes)) {
-        boundingBoxes[geoJson.name] = meshes
-          .map((mesh) => {
-            if (mesh instanceof THREE.Mesh) {
-              // Validate the geometry before computing the bounding box
-              if (
-                mesh.geometry &&
-                mesh.geometry.attributes &&
-                mesh.geometry.attributes.position
-              ) {
-                const positionArray = mesh.geometry.attributes.position.array;
-                const validPositions = Array.from(positionArray).every(
-                  (val) => !isNaN(val)
-                );
-
-                if (validPositions) {
-                  const boundingBox = new THREE.Box3().setFromObject(mesh);
-                  const boxSize = boundingBox.getSize(new THREE.Vector3());
-                  const boxCenter = boundingBox.getCenter(new THREE.Vector3());
-
-                  // Return bounding box data for each mesh
-                  return {
-                    size: boxSize.toArray(),
-                    center: boxCenter.toArray(),
-                  };
-                } else {
-                  console.warn(
-                    `Invalid positions detected in geometry for ${geoJson.name}`
-                  );
-                }
-              }
-            }
-          })
-          .filter(Boolean); // Remove undefined entries
-      }
+      await polygonsToMesh(geoJson);
     }
+  }
 
-    this.saveBoundingBoxesToFile(boundingBoxes);
+  // Build the country picking index from per-country GeoJSON and download it
+  // as countryIndex.json, to be served next to the country files
+  async generateCountryIndex(geoJsons) {
+    const index = buildCountryIndex(geoJsons);
+    this.saveCountryIndexToFile(index);
+    return index;
   }
 
-  saveBoundingBoxesToFile(boundingBoxes) {
-    const jsonContent = JSON.stringify(boundingBoxes, null, 2);
+  saveCountryIndexToFile(index) {
+    const jsonContent = JSON.stringify(index);
     const blob = new Blob([jsonContent], { type: "application/json" });
 
     // Create a link element
     const a = document.createElement("a");
     a.href = URL.createObjectURL(blob);
-    a.download = "boundingBoxes.json";
+    a.download = "countryIndex.json";
 
     // Append the link to the body
     document.body.appendChild(a);
@@ -283,389 +704,959 @@ class World {
     document.body.removeChild(a);
   }
 
-  async loadBoundingBoxes() {
-    let boundingBoxes;
-
-    try {
-      const response = await fetch("/boundingBoxes.json");
-      boundingBoxes = await response.json();
-    } catch (err) {
-      console.error(
-        "An error occurred while fetching the bounding boxes file:",
-        err
-      );
-      return;
+  // The pre-built country index of the manifest, downloaded once. Resolves
+  // to null when there is none or it failed to load.
+  fetchCountryIndex() {
+    if (!this.manifest.countryIndex) {
+      return Promise.resolve(null);
     }
+    if (!this.countryIndexFetched) {
+      this.countryIndexFetched = this.fetchJson(this.manifest.countryIndex)
+        .then((json) => SpatialIndex.fromJSON(json))
+        .catch((error) => {
+          this.events.emit("warning", {
+            message: "Country index unavailable",
+            error,
+          });
+          return null;
+        });
+    }
+    return this.countryIndexFetched;
+  }
 
-    for (const name in boundingBoxes) {
-      const boxes = boundingBoxes[name];
-      if (Array.isArray(boxes)) {
-        boxes.forEach((box) => {
-          const { size, center } = box;
-
-          const boxGeometry = new THREE.BoxGeometry(size[0], size[1], size[2]);
-          const boxMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
-            transparent: true,
-            opacity: 0,
+  // The country index, loaded once. Without a pre-built index it is built
+  // from the country GeoJSON files, which downloads every one of them.
+  loadCountryIndex() {
+    if (!this.countryIndexLoaded) {
+      this.countryIndexLoaded = this.fetchCountryIndex().then(async (index) => {
+        if (!index) {
+          this.events.emit("warning", {
+            message: "Building the country index from GeoJSON",
           });
-          const boundingBoxMesh = new THREE.Mesh(boxGeometry, boxMaterial);
-          boundingBoxMesh.position.set(center[0], center[1], center[2]);
-          boundingBoxMesh.userData.name = name;
-          boundingBoxMesh.userData.isBoundingBox = true;
+          await this.countryCentersLoaded;
+          const codes = await this.countryCodes();
+          const geoJsons = await Promise.all(
+            codes.map(async (code) => {
+              const geoJson = await this.loadCountryGeoJson(code);
+              if (geoJson) {
+                geoJson.name = code;
+              }
+              return geoJson;
+            })
+          );
+          index = buildCountryIndex(geoJsons);
+        }
+        this.countryIndex = index;
+        this.events.emit("layerloaded", { layer: "countryIndex" });
+        return index;
+      });
+    }
+    return this.countryIndexLoaded;
+  }
 
-          // Add the bounding box to the earth
-          this.earth.add(boundingBoxMesh);
+  // The manifest's world TopoJSON file, downloaded once. Resolves to null
+  // when there is none or it failed to load.
+  loadTopology() {
+    if (!this.manifest.countryTopoJson) {
+      return Promise.resolve(null);
+    }
+    if (!this.topologyLoaded) {
+      this.topologyLoaded = this.fetchJson(this.manifest.countryTopoJson)
+        .then((json) => {
+          const topology = new Topology(json);
+          this.topologyGeometries = new Map(); // code -> geometries
+          topology
+            .geometries(this.manifest.topoJsonObject)
+            .forEach((geometry) => {
+              const code = this.topologyCode(geometry);
+              if (!this.topologyGeometries.has(code)) {
+                this.topologyGeometries.set(code, []);
+              }
+              this.topologyGeometries.get(code).push(geometry);
+            });
+          this.events.emit("layerloaded", { layer: "topology" });
+          return topology;
+        })
+        .catch((error) => {
+          this.events.emit("error", {
+            message: "Error loading country TopoJSON",
+            error,
+          });
+          return null;
         });
-      }
     }
+    return this.topologyLoaded;
+  }
+
+  // Every known country: those of the TopoJSON file, or of the centers file
+  async countryCodes() {
+    const topology = await this.loadTopology();
+    if (topology) {
+      return [...this.topologyGeometries.keys()].filter((code) => code);
+    }
+    await this.countryCentersLoaded;
+    return Object.keys(this.countryCenters || {});
+  }
 
-    console.log("Finished loading and processing bounding boxes.");
+  // Lowercase country code of a TopoJSON geometry
+  topologyCode(geometry) {
+    const properties = geometry.properties || {};
+    const code =
+      properties[this.manifest.topoJsonCode] !== undefined
+        ? properties[this.manifest.topoJsonCode]
+        : geometry.id;
+    return code === undefined || code === null
+      ? null
+      : String(code).toLowerCase();
+  }
+
+  // A country's FeatureCollection decoded from the TopoJSON file, or null
+  async decodeCountryGeoJson(countryName) {
+    const topology = await this.loadTopology();
+    const geometries =
+      topology && this.topologyGeometries.get(countryName.toLowerCase());
+    if (!geometries) {
+      return null;
+    }
+    return {
+      type: "FeatureCollection",
+      features: geometries.map((geometry) => topology.feature(geometry)),
+    };
   }
 
   async loadCountryGeoJson(countryName) {
+    if (!this.countriesGeoJsonCache[countryName]) {
+      const decoded = await this.decodeCountryGeoJson(countryName);
+      if (decoded) {
+        this.countriesGeoJsonCache[countryName] = decoded;
+        this.countryLookup.addCountry(countryName, decoded);
+        return decoded;
+      }
+    }
     if (!this.countriesGeoJsonCache[countryName]) {
       try {
-        const response = await fetch(`/country/${countryName}.json`);
+        const url = this.manifest.countryUrl(countryName, "geojson", this.lod);
+        const response = await this.fetcher(url);
         if (response.ok) {
           const geoJson = await response.json();
           this.countriesGeoJsonCache[countryName] = geoJson;
+          this.countryLookup.addCountry(countryName, geoJson);
         } else {
-          console.error(`Failed to load GeoJSON for country: ${countryName}`);
+          this.events.emit("error", {
+            message: `Failed to load GeoJSON for country: ${countryName}`,
+            code: countryName,
+          });
         }
       } catch (error) {
-        console.error(
-          `Error loading GeoJSON for country: ${countryName}`,
-          error
-        );
+        this.events.emit("error", {
+          message: `Error loading GeoJSON for country: ${countryName}`,
+          error,
+          code: countryName,
+        });
       }
     }
     return this.countriesGeoJsonCache[countryName];
   }
 
-  async onPointerDown(event) {
+  // Country containing a lat/lng coordinate, see CountryLookup.countryAt().
+  // Only the countries whose bounding boxes contain the point are loaded.
+  async countryAt(lat, lng, options) {
+    const [result] = await this.countriesAt([{ lat, lng }], options);
+    return result;
+  }
+
+  async countriesAt(points, options) {
+    const index = this.countryIndex || (await this.loadCountryIndex());
+    return this.lookupCountries(index, points, options);
+  }
+
+  // Load the countries whose boxes in `index` contain the points, then look
+  // the points up. Without an index only already loaded countries are found.
+  async lookupCountries(index, points, options) {
+    if (index) {
+      const codes = new Set();
+      points.forEach((point) => {
+        const [lng, lat] = Array.isArray(point)
+          ? point
+          : [point.lng, point.lat];
+        index.search(lat, lng).forEach(({ code }) => codes.add(code));
+      });
+      await Promise.all(
+        [...codes].map((code) => this.loadCountryGeoJson(code))
+      );
+    }
+    return this.countryLookup.countriesAt(points, options);
+  }
+
+  pointerRaycaster(event) {
     // Calculate mouse position in normalized device coordinates (-1 to +1) for both components
+    const pointer = event.touches ? event.touches[0] : event;
+    const rect = this.renderer.domElement.getBoundingClientRect();
     const mouse = new THREE.Vector2(
-      (event.clientX / window.innerWidth) * 2 - 1,
-      -(event.clientY / window.innerHeight) * 2 + 1
+      ((pointer.clientX - rect.left) / rect.width) * 2 - 1,
+      -((pointer.clientY - rect.top) / rect.height) * 2 + 1
     );
 
-    // Create a raycaster and set it from the camera and mouse position
     const raycaster = new THREE.Raycaster();
     raycaster.setFromCamera(mouse, this.camera);
-    raycaster.params.Line.threshold = 0.1;
+    return raycaster;
+  }
 
-    // Check for intersections with objects in the scene
-    const intersects = raycaster.intersectObjects(this.earth.children, true);
+  // Closest item of a pickable layer (one with a pick() method) under the
+  // pointer, unless the globe is in front of it
+  pickLayers(event) {
+    const raycaster = this.pointerRaycaster(event);
+    let best = null;
+    this.layers.forEach((layer) => {
+      const hit = layer.pick ? layer.pick(raycaster) : null;
+      if (hit && (!best || hit.distance < best.distance)) {
+        best = { ...hit, layer };
+      }
+    });
+    if (!best) {
+      return null;
+    }
 
-    if (intersects.length === 0) {
-      console.log("No intersections found.");
+    const [earthHit] = raycaster.intersectObject(this.earth, false);
+    return earthHit && earthHit.distance < best.distance ? null : best;
+  }
+
+  // Resolve the country under the pointer. Returns null when the globe is not
+  // hit, and `{ code: null, ... }` when the globe is hit outside any country.
+  async pickCountry(event) {
+    const raycaster = this.pointerRaycaster(event);
+
+    // Find the hit point on the Earth sphere itself, ignoring its children
+    const earthIntersect = raycaster.intersectObject(this.earth, false);
+
+    if (earthIntersect.length === 0) {
+      this.events.emit("debug", {
+        message: "No intersection with the Earth found.",
+      });
+      return null;
+    }
+
+    // Convert the intersection point to latitude and longitude
+    const point = earthIntersect[0].point;
+    const latLng = this.positionToLatLng(point);
+    const miss = { code: null, ...latLng, properties: null };
+    this.events.emit("debug", {
+      message: "Intersection point",
+      point: point.toArray(),
+      ...latLng,
+    });
+
+    // Without a pre-built countryIndex.json (see scripts/bake.js) the first
+    // pick builds the index from GeoJSON, downloading every country once
+    const index = this.countryIndex || (await this.loadCountryIndex());
+    const [match] = await this.lookupCountries(index, [latLng], {
+      distance: false,
+    });
+    if (match) {
+      return { code: match.code, ...latLng, properties: match.properties };
+    }
+
+    this.events.emit("debug", {
+      message: "The point is not inside any country",
+    });
+    return miss;
+  }
+
+  async onPointerDown(event) {
+    // Layer items (markers, arcs) sit on top of countries
+    const layerHit = this.pickLayers(event);
+    if (layerHit) {
+      const { layer, key, distance, ...detail } = layerHit;
+      this.events.emit(`${layer.eventPrefix}click`, {
+        layer,
+        ...detail,
+        originalEvent: event,
+      });
+      if (layer.onClick) {
+        layer.onClick(layerHit);
+      }
       return;
     }
 
-    // Find all intersected objects that are bounding boxes
-    const boxIntersects = intersects.filter(
-      (intersect) => intersect.object.userData.isBoundingBox
-    );
+    const hit = await this.pickCountry(event);
+    if (!hit) {
+      return;
+    }
 
-    if (boxIntersects.length === 0) {
-      console.log("No bounding boxes intersected.");
+    this.events.emit("countryclick", { ...hit, originalEvent: event });
+    if (!hit.code) {
       return;
     }
 
-    // Log all bounding boxes
-    console.log(
-      "Intersected bounding boxes:",
-      boxIntersects.map((intersect) => intersect.object.userData.name)
-    );
+    // Shift-click extends the selection instead of replacing it
+    if (event.shiftKey) {
+      this.toggleCountry(hit.code).catch((err) => {
+        this.events.emit("error", {
+          message: `An error occurred while selecting the country ${hit.code}`,
+          error: err,
+          code: hit.code,
+        });
+      });
+    } else {
+      this.highlightCountry(hit.code);
+    }
+  }
+
+  setHoverEnabled(enabled) {
+    const canvas = this.renderer.domElement;
+    this.hoverEnabled = enabled;
+
+    if (enabled) {
+      canvas.addEventListener("pointermove", this.onPointerMove, false);
+      canvas.addEventListener("pointerleave", this.clearHover, false);
+    } else {
+      canvas.removeEventListener("pointermove", this.onPointerMove, false);
+      canvas.removeEventListener("pointerleave", this.clearHover, false);
+      this.clearHover();
+    }
+  }
 
-    if (boxIntersects.length === 1) {
-      const countryName = boxIntersects[0].object.userData.name;
-      console.log(`Only one bounding box intersected: ${countryName}`);
-      this.highlightCountry(countryName);
+  onPointerMove(event) {
+    // Don't hit-test while the globe is being dragged
+    if (event.buttons) {
       return;
     }
 
-    // If there are multiple bounding boxes, find the intersection point with the Earth
-    const earthIntersect = raycaster.intersectObject(this.earth, true);
+    // Throttle: only the latest event of each window is hit-tested
+    this.pendingHoverEvent = event;
+    if (this.hoverTimer) {
+      return;
+    }
 
-    if (earthIntersect.length === 0) {
-      console.log("No intersection with the Earth found.");
+    this.hoverTimer = setTimeout(() => {
+      const pendingEvent = this.pendingHoverEvent;
+      this.hoverTimer = null;
+      this.pendingHoverEvent = null;
+      this.updateHover(pendingEvent);
+    }, HOVER_THROTTLE_MS);
+  }
+
+  async updateHover(event) {
+    const requestId = ++this.hoverRequestId;
+    const layerHit = this.pickLayers(event);
+    this.setHoveredLayerItem(layerHit, event);
+    if (layerHit) {
+      if (this.hoveredCountry !== null) {
+        this.setHoveredCountry(null);
+        this.events.emit("countryhover", {
+          code: null,
+          lat: null,
+          lng: null,
+          properties: null,
+          originalEvent: event,
+        });
+      }
       return;
     }
 
-    // Convert the intersection point to latitude and longitude
-    const point = earthIntersect[0].point;
-    const latLng = this.positionToLatLng(point);
-    console.log(`Intersection point: ${point}, ${latLng.lat}, ${latLng.lng}`);
-    const turfPoint = turf.point([latLng.lng, latLng.lat]);
-
-    // Sort intersects by bounding box size (smallest first)
-    boxIntersects.sort((a, b) => {
-      const aBox = new THREE.Box3().setFromObject(a.object);
-      const bBox = new THREE.Box3().setFromObject(b.object);
-      return (
-        aBox.getSize(new THREE.Vector3()).length() -
-        bBox.getSize(new THREE.Vector3()).length()
+    const hit = await this.pickCountry(event);
+
+    // A newer hit-test started (or hover was cleared) in the meantime
+    if (requestId !== this.hoverRequestId) {
+      return;
+    }
+
+    const code = hit ? hit.code : null;
+    if (code === this.hoveredCountry) {
+      return;
+    }
+
+    this.setHoveredCountry(code);
+    this.events.emit("countryhover", {
+      code,
+      lat: hit ? hit.lat : null,
+      lng: hit ? hit.lng : null,
+      properties: hit ? hit.properties : null,
+      originalEvent: event,
+    });
+  }
+
+  // Emit `<prefix>hover` when the pointer enters or leaves a layer item
+  setHoveredLayerItem(hit, event) {
+    const previous = this.hoveredLayerItem;
+    if (previous && hit && previous.key === hit.key) {
+      return;
+    }
+
+    this.hoveredLayerItem = hit;
+    if (previous && (!hit || hit.layer !== previous.layer)) {
+      this.events.emit(`${previous.layer.eventPrefix}hover`, {
+        layer: previous.layer,
+        type: null,
+        originalEvent: event,
+      });
+    }
+    if (hit) {
+      const { layer, key, distance, ...detail } = hit;
+      this.events.emit(`${layer.eventPrefix}hover`, {
+        layer,
+        ...detail,
+        originalEvent: event,
+      });
+    }
+  }
+
+  clearHover() {
+    this.hoverRequestId++;
+    clearTimeout(this.hoverTimer);
+    this.hoverTimer = null;
+    this.pendingHoverEvent = null;
+    this.setHoveredLayerItem(null, null);
+
+    if (this.hoveredCountry !== null) {
+      this.setHoveredCountry(null);
+      this.events.emit("countryhover", {
+        code: null,
+        lat: null,
+        lng: null,
+        properties: null,
+        originalEvent: null,
+      });
+    }
+  }
+
+  async setHoveredCountry(countryName) {
+    this.hoverGeometries.forEach((mesh) => this.earth.remove(mesh));
+    this.hoverGeometries = [];
+    this.hoveredCountry = countryName;
+
+    if (!countryName) {
+      return;
+    }
+
+    let meshes;
+    try {
+      meshes = await this.getHoverMeshes(countryName);
+    } catch (err) {
+      this.events.emit("error", {
+        message: `Error loading hover meshes for country ${countryName}`,
+        error: err,
+        code: countryName,
+      });
+      return;
+    }
+
+    // The pointer may have moved on while the meshes were loading
+    if (this.hoveredCountry !== countryName) {
+      return;
+    }
+
+    meshes.forEach((mesh) => this.earth.add(mesh));
+    this.hoverGeometries = meshes;
+  }
+
+  // Hover meshes use the lighter hover material and are cached per country
+  // so hovering back is instant
+  getHoverMeshes(countryName) {
+    if (!this.hoverMeshCache[countryName]) {
+      cachePromise(
+        this.hoverMeshCache,
+        countryName,
+        this.createCountryMeshes(countryName, this.hoverMaterial, 2)
+      );
+    }
+    return this.hoverMeshCache[countryName];
+  }
+
+  // Country meshes are loaded once; every user (selection, hover) wraps the
+  // shared geometry in new meshes with its own material
+  async createCountryMeshes(countryName, material, renderOrder = 0) {
+    if (!this.countryMeshCache[countryName]) {
+      cachePromise(
+        this.countryMeshCache,
+        countryName,
+        this.loadCountryMeshes(countryName)
       );
+    }
+    const meshes = await this.countryMeshCache[countryName];
+
+    return meshes.map((mesh) => {
+      const styledMesh = new THREE.Mesh(mesh.geometry, material);
+      mesh.updateMatrix();
+      styledMesh.applyMatrix4(mesh.matrix);
+      styledMesh.renderOrder = renderOrder;
+      return styledMesh;
     });
+  }
 
-    // Iterate over all intersected bounding boxes to find the country
-    for (const boxIntersect of boxIntersects) {
-      const countryName = boxIntersect.object.userData.name;
-      // console.log(`Checking country box: ${countryName}`);
-
-      const geoJson = await this.loadCountryGeoJson(countryName);
-      if (geoJson) {
-        console.log(geoJson);
-        // Check if the point is within the bounding box's country polygons
-        for (const feature of geoJson.features) {
-          const geometryType = feature.geometry.type;
-          if (geometryType === "Polygon" || geometryType === "MultiPolygon") {
-            if (turf.booleanPointInPolygon(turfPoint, feature)) {
-              // console.log(`The point is inside the country: ${countryName}`);
-              this.highlightCountry(countryName);
-              return;
-            }
-          } else {
-            console.warn(`Unexpected geometry type: ${geometryType}`);
-          }
-        }
+  // Load the meshes for a country, from its pre-baked GLB when the manifest
+  // lists one and by triangulating its GeoJSON otherwise, including when the
+  // GLB is missing or fails to parse. `style` is a polygonsToMesh() style
+  // and `options` its options; GLBs only stand for "mesh" without options.
+  // Always resolves to an array.
+  async loadCountryMeshes(countryName, style = "mesh", options = {}) {
+    if (
+      style === "mesh" &&
+      Object.keys(options).length === 0 &&
+      this.manifest.countryFormats(countryName).includes("glb")
+    ) {
+      const url = this.manifest.countryUrl(countryName, "glb", this.lod);
+      const cacheKey = this.meshCacheKey(
+        countryName,
+        "glb",
+        this.manifest.countryChecksum(countryName, "glb") || url
+      );
+      const cached = await this.readCachedMeshes(cacheKey);
+      if (cached) {
+        return cached;
       }
+
+      const meshes = await loadGlbMesh(countryName, this.earthRadius, {
+        url,
+        fetcher: this.fetcher,
+        bakedRadius: this.manifest.glbRadius,
+      });
+      if (meshes) {
+        this.cacheMeshes(cacheKey, meshes);
+        return meshes;
+      }
+      this.events.emit("warning", {
+        message: `Falling back to GeoJSON for country ${countryName}`,
+        code: countryName,
+      });
+    }
+
+    const geoJson = await this.loadCountryGeoJson(countryName);
+    if (!geoJson) {
+      this.events.emit("error", {
+        message: "No GeoJSON data found",
+        code: countryName,
+      });
+      return [];
     }
 
-    console.log("The point is not inside any country");
+    // Only triangulated meshes are worth caching, pins and lines are cheap
+    const cacheKey =
+      style === "mesh" && Object.keys(options).length === 0
+        ? this.meshCacheKey(
+            countryName,
+            "geojson",
+            this.manifest.countryChecksum(countryName, "geojson") ||
+              hashString(JSON.stringify(geoJson.features))
+          )
+        : null;
+    const cached = cacheKey && (await this.readCachedMeshes(cacheKey));
+    if (cached) {
+      return cached;
+    }
+
+    geoJson.name = countryName;
+    const meshes = await polygonsToMesh(
+      geoJson,
+      style,
+      true,
+      this.earthRadius,
+      options
+    );
+    if (cacheKey) {
+      this.cacheMeshes(cacheKey, meshes);
+    }
+    return Array.isArray(meshes) ? meshes : [meshes];
   }
 
-  async highlightCountry(countryName, style) {
-    this.removePreviousGeometries();
-
-    let meshPromise;
-    const meshCountries = [
-      "ps",
-      "er",
-      "fi",
-      "gm",
-      "ee",
-      "iq",
-      "hu",
-      "ht",
-      "es",
-      "pe",
-      "qa",
-      "si",
-      "sk",
-      "ro",
-      "pg",
-      "gn",
-      "fj",
-      "gy",
-      "ir",
-      "kz",
-      "ie",
-      "id",
-      "is",
-      "eg",
-      "sy",
-      "sn",
-      "ec",
-      "et",
-      "kh",
-      "jm",
-      "hr",
-      "pt",
-      "so",
-      "pa",
-      "sz",
-      "gh",
-      "jo",
-      "it",
-      "de",
-      "sl",
-      "cf",
-      "mm",
-      "na",
-      "mz",
-      "ml",
-      "cg",
-      "ao",
-      "bt",
-      "tn",
-      "tl",
-      "am",
-      "cr",
-      "az",
-      "ba",
-      "mn",
-      "my",
-      "mx",
-      "lk",
-      "cd",
-      "al",
-      "bw",
-      "tz",
-      "ve",
-      "tm",
-      "uz",
-      "bd",
-      "bs",
-      "ng",
-      "mk",
-      "np",
-      "ly",
-      "cv",
-      "br",
-      "ca",
-      "be",
-      "ws",
-      "th",
-      "za",
-      "uy",
-      "tj",
-      "vu",
-      "bg",
-      "ne",
-      "cu",
-      "bf",
-      "zw",
-      "zm",
-      "vn",
-      "co",
-      "md",
-      "la",
-      "me",
-      "lv",
-      "om",
-      "mr",
-      "ni",
-      "cy",
-      "af",
-      "cn",
-      "bj",
-      "tg",
-      "tr",
-      "ua",
-      "cl",
-      "lt",
-      "mg",
-      "lb",
-      "lu",
-      "ae",
-      "cz",
-      "bi",
-      "ar",
-      "cm",
-      "td",
-      "us",
-      "bz",
-      "ci",
-      "no",
-      "ch",
-      "ug",
-      "tt",
-      "by",
-      "au",
-      "bn",
-      "ma",
-      "nz",
-      "lr",
-      "ls",
-      "mw",
-      "nl",
-      "bo",
-      "at",
-      "ye",
-      "sv",
-      "sa",
-      "kp",
-      "kg",
-      "in",
-      "ge",
-      "gr",
-      "rs",
-      "pl",
-      "sb",
-      "py",
-      "dk",
-      "il",
-      "ke",
-      "kr",
-      "dj",
-      "gq",
-      "pk",
-      "gb",
-      "kw",
-      "do",
-      "gt",
-      "ru",
-      "sd",
-      "ph",
-      "ss",
-      "rw",
-      "dz",
-      "ga",
-      "fr",
-      "hn",
-      "jp",
-      "gw",
-      "sr",
-      "se",
-    ];
+  meshCacheKey(code, format, hash) {
+    return { code, lod: this.lod, radius: this.earthRadius, format, hash };
+  }
 
-    try {
-      if (meshCountries.includes(countryName)) {
-        // console.log(`Loading GLB mesh for country: ${countryName}`);
-        meshPromise = loadGlbMesh(countryName, this.earthRadius);
-      } else {
-        const countryGeoJsonPath = `/country/${countryName}.json`;
-        // console.log(
-        //   `Fetching GeoJSON for country: ${countryName} from ${countryGeoJsonPath}`
-        // );
+  async readCachedMeshes(cacheKey) {
+    if (!this.meshCache) {
+      return null;
+    }
+    const records = await this.meshCache.get(cacheKey);
+    return records ? deserializeMeshes(records) : null;
+  }
+
+  // Stored in the background, a failed write only costs a future cache miss
+  cacheMeshes(cacheKey, meshes) {
+    if (!this.meshCache || meshes.length === 0) {
+      return;
+    }
+    const records = serializeMeshes(meshes);
+    this.meshCache.set(cacheKey, records, serializedSize(records));
+  }
+
+  // Hit/miss counts, size and storage backend of the mesh cache
+  getCacheStats() {
+    return this.meshCache ? this.meshCache.stats() : null;
+  }
 
-        const response = await fetch(countryGeoJsonPath);
-        const geoJson = await response.json();
+  // Color countries from `{ isoCode: value }`, see ChoroplethLayer
+  async addChoroplethLayer(options = {}) {
+    const layer = new ChoroplethLayer(this, options);
+    this.layers.push(layer);
+    this.loop.add(layer); // Animates extruded heights
+    return layer.load(options.codes);
+  }
+
+  // Markers for `[{ lat, lng }]` or GeoJSON points, see PointLayer
+  addPointLayer(options = {}) {
+    const layer = new PointLayer(this, options);
+    this.layers.push(layer);
+    this.loop.add(layer); // Re-clusters when zooming
+    return layer.load();
+  }
 
-        if (!geoJson) {
-          console.error("No GeoJSON data found");
-          return;
+  // Great-circle routes between two points, see ArcLayer
+  addArcLayer(options = {}) {
+    const layer = new ArcLayer(this, options);
+    this.layers.push(layer);
+    this.loop.add(layer); // Animates dashes and heads
+    return layer.load();
+  }
+
+  // Imagery tiles draped over the globe, see TileLayer. `url` defaults to the
+  // manifest's `tileUrl`; the earth texture shows until tiles arrive.
+  addTileLayer(options = {}) {
+    const url = options.url || this.manifest.tileUrl;
+    const layer = new TileLayer(this, {
+      ...options,
+      url: typeof url === "string" ? this.manifest.resolve(url) : url,
+    });
+    this.layers.push(layer);
+    this.loop.add(layer); // Picks and loads tiles as the camera moves
+    return layer.load();
+  }
+
+  // Toggle and configure the environment around the globe. Each option is
+  // `true` or options to (re)create a component, and `false` to remove it;
+  // omitted components are left as they are.
+  //   atmosphere   Fresnel halo, see createAtmosphere()
+  //   clouds       drifting cloud layer, see createClouds()
+  //   stars        starfield, see createStarfield()
+  //   surfaceMaps  relief and shiny oceans on the earth, see createEarth()
+  // Textures come from the manifest unless given in the options.
+  setEnvironment({ atmosphere, clouds, stars, surfaceMaps } = {}) {
+    const settings = (value) => (value === true ? {} : value);
+    // Manifest textures, left to the component defaults when not set
+    const texture = (key, path) =>
+      path ? { [key]: this.manifest.resolve(path) } : {};
+
+    if (atmosphere !== undefined) {
+      this.replaceEnvironment(
+        "atmosphere",
+        atmosphere && createAtmosphere(this.earthRadius, settings(atmosphere)),
+        this.scene
+      );
+    }
+    if (clouds !== undefined) {
+      this.replaceEnvironment(
+        "clouds",
+        clouds &&
+          createClouds(this.earthRadius, {
+            ...texture("textureUrl", this.manifest.cloudsTexture),
+            ...settings(clouds),
+          }),
+        this.earth // Turns with the globe
+      );
+    }
+    if (stars !== undefined) {
+      this.replaceEnvironment(
+        "stars",
+        stars &&
+          createStarfield({
+            ...texture("textureUrl", this.manifest.starsTexture),
+            ...settings(stars),
+          }),
+        this.scene
+      );
+    }
+    if (surfaceMaps !== undefined) {
+      this.earth.setSurfaceMaps(
+        surfaceMaps && {
+          ...texture("bumpMapUrl", this.manifest.earthBumpMap),
+          ...texture("specularMapUrl", this.manifest.earthSpecularMap),
+          ...settings(surfaceMaps),
         }
+      );
+    }
+  }
 
-        geoJson.name = countryName;
-        // console.log(`Generating mesh from GeoJSON for country: ${countryName}`);
-        meshPromise = polygonsToMesh(geoJson, style, this.earthRadius);
+  replaceEnvironment(name, object, parent) {
+    const previous = this.environment[name];
+    if (previous) {
+      previous.parent.remove(previous);
+      this.loop.remove(previous);
+      previous.geometry.dispose();
+      [previous.material.map, previous.material.alphaMap].forEach(
+        (map) => map && map.dispose()
+      );
+      previous.material.dispose();
+    }
+
+    this.environment[name] = object || null;
+    if (object) {
+      parent.add(object);
+      if (object.tick) {
+        this.loop.add(object);
       }
+    }
+  }
+
+  // Light the globe from the sun's real position at `date` (UTC), with a
+  // day/night terminator and the manifest's night lights texture.
+  // `realtime: true` follows the system clock instead.
+  enableSun({ date = new Date(), realtime = false } = {}) {
+    if (!this.sun) {
+      this.sun = new Sun(this.earth, this.mainLight, this.ambientLight, {
+        date,
+        realtime,
+      });
+      this.loop.add(this.sun);
+      if (this.manifest.earthNightTexture) {
+        this.earth.setNightTexture(
+          this.manifest.resolve(this.manifest.earthNightTexture)
+        );
+      }
+    } else {
+      this.sun.setRealtime(realtime);
+      if (!realtime) {
+        this.sun.setTime(date);
+      }
+    }
+    return this.sun;
+  }
+
+  // Back to the uniform default lighting
+  disableSun() {
+    if (!this.sun) {
+      return;
+    }
+    this.loop.remove(this.sun);
+    this.sun.dispose();
+    this.sun = null;
+  }
+
+  // Move the sun to `date`, turning sun mode on and real time off
+  setTime(date) {
+    this.enableSun({ date });
+  }
+
+  setRealtime(realtime) {
+    if (realtime) {
+      this.enableSun({ realtime: true });
+    } else if (this.sun) {
+      this.sun.setRealtime(false);
+    }
+  }
+
+  // Date the sun is shown at, null outside sun mode
+  getTime() {
+    return this.sun ? new Date(this.sun.date) : null;
+  }
 
+  // Play back time-keyed datasets on layers, see Timeline
+  createTimeline(frames, options = {}) {
+    const timeline = new Timeline(frames, {
+      ...options,
+      onTimeChange: (detail) => this.events.emit("timechange", detail),
+    });
+    this.loop.add(timeline);
+    return timeline;
+  }
+
+  removeTimeline(timeline) {
+    timeline.pause();
+    this.loop.remove(timeline);
+  }
+
+  removeLayer(layer) {
+    this.layers = this.layers.filter((item) => item !== layer);
+    this.loop.remove(layer);
+    layer.dispose();
+  }
+
+  // Replace the selection with a single country and rotate the globe to it.
+  // `style` is a selection style object or, as before selection styles, a
+  // render style string ("mesh", "pin", "lines"), see DEFAULT_SELECTION_STYLE.
+  async highlightCountry(countryName, style) {
+    try {
       const targetLatLng = this.countryCenters[countryName];
       if (!targetLatLng) {
-        console.error(`No coordinates found for country code: ${countryName}`);
+        this.events.emit("error", {
+          message: `No coordinates found for country code: ${countryName}`,
+          code: countryName,
+        });
         return;
       }
 
-      this.rotateGlobeTo(targetLatLng, async () => {
-        const meshes = await meshPromise;
+      // Load the meshes while the globe rotates
+      await Promise.all([
+        this.highlightCountries([{ code: countryName, style }]),
+        this.flyTo(targetLatLng),
+      ]);
+    } catch (err) {
+      this.events.emit("error", {
+        message: `An error occurred while highlighting the country ${countryName}`,
+        error: err,
+        code: countryName,
+      });
+    }
+  }
 
-        if (Array.isArray(meshes)) {
-          meshes.forEach((geometry) => {
-            geometry.visible = true; // Ensure the mesh is set to be visible
-            this.earth.add(geometry);
-            this.previousGeometries.push(geometry.uuid);
-          });
-        } else {
-          meshes.material.color.setHex(0xff0000); // Make the mesh red
-          meshes.visible = true; // Ensure the mesh is set to be visible
-          this.earth.add(meshes);
-          this.previousGeometries.push(meshes.uuid);
+  // Replace the selection with `[{ code, style }]`
+  async highlightCountries(countries) {
+    const codes = countries.map(({ code }) => code);
+    const removed = this.getSelectedCodes().filter(
+      (code) => !codes.includes(code)
+    );
+    removed.forEach((code) => this.detachSelection(code));
+
+    await Promise.all(
+      countries.map(({ code, style }) => this.attachSelection(code, style))
+    );
+    this.emitSelectionChange(codes, removed);
+  }
+
+  // Add a country to the selection, or restyle it if already selected
+  async selectCountry(countryName, style) {
+    await this.attachSelection(countryName, style);
+    this.emitSelectionChange([countryName], []);
+  }
+
+  deselectCountry(countryName) {
+    if (this.detachSelection(countryName)) {
+      this.emitSelectionChange([], [countryName]);
+    }
+  }
+
+  async toggleCountry(countryName, style) {
+    if (this.selection.has(countryName)) {
+      this.deselectCountry(countryName);
+    } else {
+      await this.selectCountry(countryName, style);
+    }
+  }
+
+  clearSelection() {
+    const removed = this.getSelectedCodes();
+    removed.forEach((code) => this.detachSelection(code));
+    if (removed.length > 0) {
+      this.emitSelectionChange([], removed);
+    }
+  }
+
+  // `[{ code, style }]` for every selected country, in selection order
+  getSelection() {
+    return [...this.selection].map(([code, { style }]) => ({
+      code,
+      style: { ...style },
+    }));
+  }
+
+  getSelectedCodes() {
+    return [...this.selection.keys()];
+  }
+
+  emitSelectionChange(added, removed) {
+    this.events.emit("highlightchange", {
+      selection: this.getSelectedCodes(),
+      added,
+      removed,
+    });
+  }
+
+  async attachSelection(countryName, style) {
+    this.detachSelection(countryName);
+
+    const entry = {
+      style: {
+        ...DEFAULT_SELECTION_STYLE,
+        ...(typeof style === "string" ? { render: style } : style),
+      },
+      objects: [],
+    };
+    this.selection.set(countryName, entry);
+
+    let material = null;
+    let objects = [];
+    try {
+      if (entry.style.render === "mesh") {
+        material = createFillMaterial(entry.style);
+        objects = await this.createCountryMeshes(countryName, material, 1);
+      } else {
+        // "lines" are drawn like the outline
+        const lineStyle = {
+          width: entry.style.outlineWidth,
+          opacity: entry.style.outlineOpacity,
+          ...entry.style.outlineStyle,
+        };
+        objects = await this.loadCountryMeshes(
+          countryName,
+          entry.style.render,
+          entry.style.render === "lines" ? { lineStyle } : {}
+        );
+        objects.forEach((object) => {
+          object.userData.ownsGeometry = true;
+        });
+      }
+
+      if (entry.style.outlineColor !== null) {
+        const geoJson = await this.loadCountryGeoJson(countryName);
+        if (geoJson) {
+          const outline = await generateCountryOutlines(
+            geoJson,
+            entry.style.outlineColor,
+            this.earthRadius,
+            {
+              width: entry.style.outlineWidth,
+              opacity: entry.style.outlineOpacity,
+              ...entry.style.outlineStyle,
+            }
+          );
+          outline.userData.ownsGeometry = true;
+          objects.push(outline);
         }
+      }
+    } catch (error) {
+      // Don't report a country as selected when it can't be drawn
+      disposeSelectionObjects(objects);
+      if (material && objects.length === 0) {
+        material.dispose();
+      }
+      if (this.selection.get(countryName) === entry) {
+        this.selection.delete(countryName);
+      }
+      throw error;
+    }
 
-        // console.log(`Country ${countryName} highlighted successfully.`);
-      });
-    } catch (err) {
-      console.error(
-        `An error occurred while highlighting the country ${countryName}:`,
-        err
-      );
+    // The country was deselected or restyled while loading
+    if (this.selection.get(countryName) !== entry) {
+      disposeSelectionObjects(objects);
+      return;
     }
+
+    objects.forEach((object) => this.earth.add(object));
+    entry.objects = objects;
+  }
+
+  detachSelection(countryName) {
+    const entry = this.selection.get(countryName);
+    if (!entry) {
+      return false;
+    }
+
+    entry.objects.forEach((object) => this.earth.remove(object));
+    disposeSelectionObjects(entry.objects);
+    this.selection.delete(countryName);
+    return true;
   }
 }
 
-export { World };
+export {
+  World,
+  ChoroplethLayer,
+  PointLayer,
+  ArcLayer,
+  TileLayer,
+  AssetManifest,
+  MeshCache,
+  createColorScale,
+  parseGpx,
+  parseKml,
+  parseCsv,
+};
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+// Bake the assets World loads from a directory of per-country GeoJSON files
+// (`{code}.json`, as in /country/), in one run:
+//
+//   glb/{code}.glb       pre-triangulated country meshes
+//   countryCenter.json   `{ code: { lat, lng } }`, used to rotate the globe
+//   countryIndex.json    picking index, see utils/spatialIndex.js
+//   manifest.json        asset manifest describing the output, see
+//                        utils/assetManifest.js
+//
+// Usage:
+//   node scripts/bake.js --input country --output public [--radius 100]
+//     [--tolerance 0.01] [--countries fr,de,it]
+//
+// Centers and the picking index always cover every input country; meshes are
+// only baked for --countries when given. GLBs already in the output directory
+// are kept and listed in the manifest.
+import { createHash } from "node:crypto";
+import { existsSync } from "node:fs";
+import { mkdir, readFile, readdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import * as turf from "@turf/turf";
+import {
+  combineMeshes,
+  exportMeshToGLB,
+  meshEvents,
+  polygonsToMesh,
+} from "../utils/meshUtils.js";
+import { buildCountryIndex } from "../utils/spatialIndex.js";
+
+const USAGE = `Usage: node scripts/bake.js --input <dir> [options]
+
+Options:
+  --input <dir>        Directory of per-country GeoJSON files ({code}.json)
+  --output <dir>       Where to write the baked assets (default: .)
+  --radius <number>    Globe radius the meshes are baked at (default: 100)
+  --tolerance <deg>    Simplification tolerance in degrees (default: 0, off)
+  --countries <list>   Comma-separated ISO codes to bake meshes for
+                       (default: every input country)
+  --help               Show this message`;
+
+// GLTFExporter reads its output through FileReader, which Node lacks
+if (typeof globalThis.FileReader === "undefined") {
+  globalThis.FileReader = class FileReader {
+    readAsArrayBuffer(blob) {
+      blob.arrayBuffer().then((result) => {
+        this.result = result;
+        if (this.onload) this.onload({ target: this });
+        if (this.onloadend) this.onloadend({ target: this });
+      });
+    }
+  };
+}
+
+function checksum(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      input: { type: "string" },
+      output: { type: "string", default: "." },
+      radius: { type: "string", default: "100" },
+      tolerance: { type: "string", default: "0" },
+      countries: { type: "string" },
+      help: { type: "boolean", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  if (!values.input) {
+    throw new Error(`--input is required\n\n${USAGE}`);
+  }
+
+  const radius = Number(values.radius);
+  const tolerance = Number(values.tolerance);
+  if (!(radius > 0)) {
+    throw new Error(`Invalid --radius "${values.radius}"`);
+  }
+  if (!(tolerance >= 0)) {
+    throw new Error(`Invalid --tolerance "${values.tolerance}"`);
+  }
+
+  return {
+    input: values.input,
+    output: values.output,
+    radius,
+    tolerance,
+    countries: values.countries
+      ? values.countries.split(",").map((code) => code.trim().toLowerCase())
+      : null,
+  };
+}
+
+// Read every `{code}.json` of the input directory as `{ code, geoJson, raw }`
+async function readCountries(input) {
+  const files = (await readdir(input))
+    .filter((file) => file.endsWith(".json"))
+    .sort();
+
+  return Promise.all(
+    files.map(async (file) => {
+      const raw = await readFile(path.join(input, file));
+      const code = path.basename(file, ".json").toLowerCase();
+      const geoJson = JSON.parse(raw);
+      geoJson.name = code;
+      return { code, geoJson, raw };
+    })
+  );
+}
+
+function simplify(geoJson, tolerance) {
+  if (tolerance === 0) {
+    return geoJson;
+  }
+  return {
+    ...geoJson,
+    features: geoJson.features.map((feature) =>
+      turf.simplify(
+        { type: "Feature", properties: {}, ...feature },
+        { tolerance, highQuality: true }
+      )
+    ),
+  };
+}
+
+// Shift longitudes so consecutive points never jump by more than 180°,
+// keeping polygons that cross the antimeridian contiguous
+function unwrapRings(coordinates) {
+  return coordinates.map((ring) => {
+    let previous = ring[0][0];
+    return ring.map(([lng, lat]) => {
+      let unwrapped = lng;
+      while (unwrapped - previous > 180) unwrapped -= 360;
+      while (unwrapped - previous < -180) unwrapped += 360;
+      previous = unwrapped;
+      return [unwrapped, lat];
+    });
+  });
+}
+
+// Center of mass of the country's largest polygon, so that overseas
+// territories do not pull the center into the ocean
+function countryCenter(geoJson) {
+  let largest = null;
+  let largestArea = 0;
+
+  geoJson.features.forEach(({ geometry }) => {
+    if (!geometry) {
+      return;
+    }
+    const polygons =
+      geometry.type === "Polygon"
+        ? [geometry.coordinates]
+        : geometry.type === "MultiPolygon"
+          ? geometry.coordinates
+          : [];
+    polygons.forEach((coordinates) => {
+      if (coordinates.length === 0 || coordinates[0].length < 4) {
+        return;
+      }
+      const polygon = turf.polygon(unwrapRings(coordinates));
+      const area = turf.area(polygon);
+      if (area > largestArea) {
+        largest = polygon;
+        largestArea = area;
+      }
+    });
+  });
+
+  if (!largest) {
+    return null;
+  }
+  const [lng, lat] = turf.centerOfMass(largest).geometry.coordinates;
+  const normalizedLng = ((((lng + 180) % 360) + 360) % 360) - 180;
+  return { lat: Number(lat.toFixed(4)), lng: Number(normalizedLng.toFixed(4)) };
+}
+
+async function bakeGlb(geoJson, radius) {
+  const meshes = await polygonsToMesh(geoJson, "mesh", true, radius);
+  if (meshes.length === 0) {
+    return null;
+  }
+  const mesh = meshes.length === 1 ? meshes[0] : combineMeshes(meshes);
+  mesh.name = geoJson.name;
+  const blob = await exportMeshToGLB(mesh);
+  return Buffer.from(await blob.arrayBuffer());
+}
+
+async function bake() {
+  const options = parseOptions();
+  const { input, output, radius, tolerance } = options;
+
+  meshEvents.on("error", ({ message }) => console.error(`error: ${message}`));
+  meshEvents.on("warning", ({ message }) =>
+    console.warn(`warning: ${message}`)
+  );
+
+  const countries = await readCountries(input);
+  if (countries.length === 0) {
+    throw new Error(`No {code}.json files found in ${input}`);
+  }
+  const known = new Set(countries.map(({ code }) => code));
+  const selected = options.countries || [...known];
+  selected
+    .filter((code) => !known.has(code))
+    .forEach((code) => console.warn(`warning: no GeoJSON for "${code}"`));
+
+  await mkdir(path.join(output, "glb"), { recursive: true });
+
+  const glbChecksums = {};
+  for (const { code, geoJson } of countries) {
+    const glbPath = path.join(output, "glb", `${code}.glb`);
+    if (selected.includes(code)) {
+      const glb = await bakeGlb(simplify(geoJson, tolerance), radius);
+      if (!glb) {
+        console.warn(`warning: no polygons to bake for "${code}"`);
+        continue;
+      }
+      await writeFile(glbPath, glb);
+      glbChecksums[code] = checksum(glb);
+      console.log(`baked ${glbPath} (${glb.length} bytes)`);
+    } else if (existsSync(glbPath)) {
+      glbChecksums[code] = checksum(await readFile(glbPath));
+    }
+  }
+
+  const centers = {};
+  countries.forEach(({ code, geoJson }) => {
+    const center = countryCenter(geoJson);
+    if (center) {
+      centers[code] = center;
+    }
+  });
+  await writeFile(
+    path.join(output, "countryCenter.json"),
+    JSON.stringify(centers, null, 2)
+  );
+
+  const index = buildCountryIndex(countries.map(({ geoJson }) => geoJson));
+  await writeFile(
+    path.join(output, "countryIndex.json"),
+    JSON.stringify(index)
+  );
+
+  // Paths in the manifest are relative to the output directory
+  const geoJsonDir = path.relative(output, input).split(path.sep).join("/");
+  const manifest = {
+    version: checksum(
+      JSON.stringify([radius, tolerance, glbChecksums, centers])
+    ).slice(0, 12),
+    earthTexture: "assets/earth_8k.jpg",
+    countryCenters: "countryCenter.json",
+    countryIndex: "countryIndex.json",
+    countryGeoJson: `${geoJsonDir || "."}/{code}.json`,
+    countryGlb: "glb/{code}.glb",
+    glbRadius: radius,
+    countries: {},
+  };
+  countries.forEach(({ code, raw }) => {
+    const checksums = { geojson: checksum(raw) };
+    if (glbChecksums[code]) {
+      checksums.glb = glbChecksums[code];
+    }
+    manifest.countries[code] = {
+      formats: glbChecksums[code] ? ["glb", "geojson"] : ["geojson"],
+      ...(centers[code] && { center: centers[code] }),
+      checksums,
+    };
+  });
+  await writeFile(
+    path.join(output, "manifest.json"),
+    JSON.stringify(manifest, null, 2)
+  );
+
+  console.log(
+    `wrote ${Object.keys(centers).length} centers, ` +
+      `${index.entries.length} index entries and manifest.json to ${output}`
+  );
+}
+
+bake().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+import { Clock } from 'three';
+
+// Render loop that also advances every object in `updatables` by calling its
+// `tick(delta)` method, with `delta` in seconds since the previous frame
+class Loop {
+  constructor(camera, scene, renderer) {
+    this.camera = camera;
+    this.scene = scene;
+    this.renderer = renderer;
+    this.updatables = [];
+    this.clock = new Clock();
+  }
+
+  start() {
+    this.clock.getDelta(); // Don't count the time spent stopped
+    this.renderer.setAnimationLoop(() => {
+      this.tick();
+      this.renderer.render(this.scene, this.camera);
+    });
+  }
+
+  stop() {
+    this.renderer.setAnimationLoop(null);
+  }
+
+  add(updatable) {
+    if (!this.updatables.includes(updatable)) {
+      this.updatables.push(updatable);
+    }
+  }
+
+  remove(updatable) {
+    this.updatables = this.updatables.filter((item) => item !== updatable);
+  }
+
+  tick() {
+    const delta = this.clock.getDelta();
+    for (const object of this.updatables) {
+      object.tick(delta);
+    }
+  }
+}
+
+export { Loop };
@@ -0,0 +1,89 @@
+import { Vector3 } from 'three';
+import { sunDirection } from '../utils/solar.js';
+
+// Lighting while the sun is on: a faint ambient light so the night side
+// stays readable, and a strong sun
+const SUN_INTENSITY = 2.5;
+const AMBIENT_INTENSITY = 0.15;
+const REALTIME_INTERVAL = 1; // Seconds between two clock reads in real time
+
+// Lights the globe from the real position of the sun at a given UTC time.
+// The main light is kept pointing from the sun's direction as the globe
+// rotates, and the earth shows night lights past the terminator.
+class Sun {
+  constructor(
+    earth,
+    mainLight,
+    ambientLight,
+    { date = new Date(), realtime = false } = {}
+  ) {
+    this.earth = earth;
+    this.mainLight = mainLight;
+    this.ambientLight = ambientLight;
+    this.localDirection = new Vector3(); // Towards the sun, earth frame
+    this.worldDirection = new Vector3();
+    this.sinceClockRead = 0;
+
+    // Restored by dispose()
+    this.saved = {
+      position: mainLight.position.clone(),
+      intensity: mainLight.intensity,
+      ambientIntensity: ambientLight.intensity,
+    };
+    mainLight.intensity = SUN_INTENSITY;
+    ambientLight.intensity = AMBIENT_INTENSITY;
+
+    this.setRealtime(realtime);
+    if (!realtime) {
+      this.setTime(date);
+    }
+  }
+
+  setTime(date) {
+    this.date = new Date(date);
+    sunDirection(this.date, this.localDirection);
+    this.update();
+  }
+
+  // Follow the system clock, or stay at the current time
+  setRealtime(realtime) {
+    this.realtime = realtime;
+    if (realtime) {
+      this.sinceClockRead = 0;
+      this.setTime(new Date());
+    }
+  }
+
+  // The light follows the globe, which may be rotated every frame
+  update() {
+    this.worldDirection
+      .copy(this.localDirection)
+      .applyQuaternion(this.earth.quaternion);
+    // Directional lights shine from their position towards the origin
+    this.mainLight.position
+      .copy(this.worldDirection)
+      .multiplyScalar(this.saved.position.length());
+    this.earth.setSun(this.worldDirection);
+  }
+
+  tick(delta) {
+    if (this.realtime) {
+      this.sinceClockRead += delta;
+      if (this.sinceClockRead >= REALTIME_INTERVAL) {
+        this.sinceClockRead = 0;
+        this.date = new Date();
+        sunDirection(this.date, this.localDirection);
+      }
+    }
+    this.update();
+  }
+
+  dispose() {
+    this.mainLight.position.copy(this.saved.position);
+    this.mainLight.intensity = this.saved.intensity;
+    this.ambientLight.intensity = this.saved.ambientIntensity;
+    this.earth.setSun(null);
+  }
+}
+
+export { Sun };
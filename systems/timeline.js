@@ -0,0 +1,236 @@
+// Plays back time-keyed datasets. Values of neighbouring frames are
+// interpolated and pushed to every target, i.e. anything with a
+// `setData(data)` method such as ChoroplethLayer or PointLayer. Numbers are
+// interpolated linearly, in arrays (e.g. `[{ lat, lng, size }]` points) and
+// objects too; any other value switches when the next frame is reached.
+//
+// Frames are either `[{ time, data }]` or `{ [time]: data }`, where `time` is
+// a number (e.g. a year), a Date or a date string.
+
+const toTime = (time) => {
+  if (time instanceof Date) {
+    return time.getTime();
+  }
+  if (typeof time === 'number') {
+    return time;
+  }
+  const number = Number(time);
+  return Number.isNaN(number) ? Date.parse(time) : number;
+};
+
+const normalizeFrames = (frames) => {
+  const list = Array.isArray(frames)
+    ? frames
+    : Object.entries(frames).map(([time, data]) => ({ time, data }));
+
+  return list
+    .map(({ time, data }) => ({ time: toTime(time), label: time, data }))
+    .filter(({ time }) => !Number.isNaN(time))
+    .sort((a, b) => a.time - b.time);
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !(value instanceof Date);
+
+// Numbers are interpolated, arrays element-wise and objects key by key;
+// anything else (and arrays of different lengths) keeps the `from` value
+const interpolateValue = (from, to, t) => {
+  if (typeof from === 'number' && typeof to === 'number') {
+    return from + (to - from) * t;
+  }
+  if (Array.isArray(from)) {
+    return Array.isArray(to) && to.length === from.length
+      ? from.map((value, i) => interpolateValue(value, to[i], t))
+      : from.slice();
+  }
+  if (isPlainObject(from) && isPlainObject(to)) {
+    const data = { ...from };
+    Object.keys(to).forEach((key) => {
+      if (key in from) {
+        data[key] = interpolateValue(from[key], to[key], t);
+      }
+    });
+    return data;
+  }
+  return from;
+};
+
+const interpolateData = (from, to, t) => {
+  if (t === 0 || from === to) {
+    return Array.isArray(from) ? from.slice() : { ...from };
+  }
+  return interpolateValue(from, to, t);
+};
+
+// Deep equality of interpolated data, to skip pushing unchanged data
+const sameData = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+  if (!isPlainObject(a) || !isPlainObject(b)) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => key in b && sameData(a[key], b[key]))
+  );
+};
+
+class Timeline {
+  constructor(frames, options = {}) {
+    const {
+      targets = [],
+      frameDuration = 1, // Seconds per frame at speed 1
+      speed = 1,
+      loop = false,
+      onTimeChange = null,
+    } = options;
+
+    this.frames = normalizeFrames(frames);
+    if (this.frames.length === 0) {
+      throw new Error('A timeline needs at least one frame with a valid time');
+    }
+
+    this.targets = [];
+    this.frameDuration = frameDuration;
+    this.speed = speed;
+    this.loop = loop;
+    this.onTimeChange = onTimeChange;
+    this.position = 0; // Fractional frame index
+    this.playing = false;
+    this.data = null; // Last data pushed to the targets
+
+    targets.forEach((target) => this.addTarget(target));
+    this.update();
+  }
+
+  get lastIndex() {
+    return this.frames.length - 1;
+  }
+
+  // Time at the current position, interpolated between frames
+  get currentTime() {
+    const index = Math.floor(this.position);
+    const next = Math.min(index + 1, this.lastIndex);
+    const t = this.position - index;
+    return (
+      this.frames[index].time +
+      (this.frames[next].time - this.frames[index].time) * t
+    );
+  }
+
+  addTarget(target) {
+    // Keep data-driven scales stable for the whole series
+    if (typeof target.setDomainValues === 'function') {
+      const values = this.frames.flatMap(({ data }) => Object.values(data));
+      target.setDomainValues(values);
+    }
+    this.targets.push(target);
+    this.data = this.data || this.dataAt(this.position);
+    target.setData(this.data);
+  }
+
+  removeTarget(target) {
+    this.targets = this.targets.filter((item) => item !== target);
+    if (typeof target.setDomainValues === 'function') {
+      target.setDomainValues(null);
+    }
+  }
+
+  play() {
+    if (!this.loop && this.position >= this.lastIndex) {
+      this.position = 0;
+    }
+    this.playing = true;
+    this.update();
+  }
+
+  pause() {
+    this.playing = false;
+    this.update();
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  // Jump to a time (clamped to the first and last frames)
+  seek(time) {
+    const value = toTime(time);
+    const next = this.frames.findIndex((frame) => frame.time >= value);
+
+    if (next <= 0) {
+      this.position = next === 0 ? 0 : this.lastIndex;
+    } else {
+      const from = this.frames[next - 1].time;
+      const to = this.frames[next].time;
+      this.position = next - 1 + (value - from) / (to - from);
+    }
+    this.update();
+  }
+
+  seekFrame(index) {
+    this.position = Math.min(Math.max(index, 0), this.lastIndex);
+    this.update();
+  }
+
+  dataAt(position) {
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, this.lastIndex);
+    return interpolateData(
+      this.frames[index].data,
+      this.frames[next].data,
+      position - index
+    );
+  }
+
+  tick(delta) {
+    if (!this.playing || this.lastIndex === 0) {
+      return;
+    }
+
+    this.position += (delta * this.speed) / this.frameDuration;
+
+    if (this.position >= this.lastIndex) {
+      if (this.loop) {
+        this.position %= this.lastIndex;
+      } else {
+        this.position = this.lastIndex;
+        this.playing = false;
+      }
+    } else if (this.position < 0) {
+      // Negative speeds play backwards
+      this.position = this.loop ? this.lastIndex + this.position : 0;
+      this.playing = this.loop;
+    }
+
+    this.update();
+  }
+
+  update() {
+    // Targets such as choropleths restyle every country on setData(), only
+    // push data that changed
+    const data = this.dataAt(this.position);
+    if (!sameData(data, this.data)) {
+      this.data = data;
+      this.targets.forEach((target) => target.setData(data));
+    }
+
+    if (typeof this.onTimeChange === 'function') {
+      const frame = this.frames[Math.floor(this.position)];
+      this.onTimeChange({
+        time: this.currentTime,
+        label: frame.label,
+        index: Math.floor(this.position),
+        progress: this.lastIndex === 0 ? 1 : this.position / this.lastIndex,
+        playing: this.playing,
+      });
+    }
+  }
+}
+
+export { Timeline };
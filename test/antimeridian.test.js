@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  edgePositions,
+  lngLatMidpoint,
+  ringOutlinePaths,
+} from "../utils/antimeridian.js";
+import { positionToLatLng } from "../utils/geoUtils.js";
+
+function latLngs(positions) {
+  const points = [];
+  for (let i = 0; i < positions.length; i += 3) {
+    points.push(positionToLatLng(...positions.slice(i, i + 3)));
+  }
+  return points;
+}
+
+test("lngLatMidpoint crosses the antimeridian", () => {
+  const [lng, lat] = lngLatMidpoint([179, 10], [-179, 20]);
+  assert.equal(Math.abs(lng), 180);
+  assert.equal(lat, 15);
+});
+
+test("edgePositions keeps edges along a parallel on it", () => {
+  const parallel = [
+    [0, 49],
+    [28, 49],
+  ];
+  const points = latLngs(edgePositions(parallel, 1, 1));
+  assert.ok(points.length > 2);
+  points.forEach(({ lat }) => assert.ok(Math.abs(lat - 49) < 1e-9));
+});
+
+test("edgePositions splits every segment below the maximum arc", () => {
+  const positions = edgePositions(
+    [
+      [170, -20],
+      [-170, -20],
+      [-170, 10],
+    ],
+    1,
+    2
+  );
+  for (let i = 3; i < positions.length; i += 3) {
+    const dot =
+      positions[i - 3] * positions[i] +
+      positions[i - 2] * positions[i + 1] +
+      positions[i - 1] * positions[i + 2];
+    assert.ok(dot >= Math.cos((2 * Math.PI) / 180) - 1e-12);
+  }
+  latLngs(positions).forEach(({ lng }) =>
+    assert.ok(Math.abs(lng) > 170 - 1e-9)
+  );
+});
+
+test("ringOutlinePaths drops edges cut along the antimeridian", () => {
+  const { paths, closed } = ringOutlinePaths([
+    [170, -20],
+    [180, -20],
+    [180, -10],
+    [170, -10],
+    [170, -20],
+  ]);
+  assert.equal(closed, false);
+  assert.deepEqual(paths, [
+    [
+      [180, -10],
+      [170, -10],
+      [170, -20],
+      [180, -20],
+    ],
+  ]);
+});
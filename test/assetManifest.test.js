@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { AssetManifest } from "../utils/assetManifest.js";
+
+test("resolve joins paths to the base URL", () => {
+  const manifest = new AssetManifest({ baseUrl: "https://cdn.example.com/a" });
+  assert.equal(
+    manifest.resolve("./country/fr.json"),
+    "https://cdn.example.com/a/country/fr.json"
+  );
+  assert.equal(
+    manifest.resolve("https://other.example.com/x.jpg"),
+    "https://other.example.com/x.jpg"
+  );
+});
+
+test("resolve returns null for optional assets left out", () => {
+  const manifest = new AssetManifest({ baseUrl: "https://cdn.example.com/" });
+  assert.equal(manifest.resolve(null), null);
+  assert.equal(manifest.resolve(""), null);
+  assert.equal(manifest.resolve(manifest.starsTexture), null);
+});
+
+test("countryUrl falls back to the first level of detail", () => {
+  const manifest = new AssetManifest({
+    countryGlb: "glb/{code}-{lod}.glb",
+    countries: { fr: { formats: ["glb"], lods: ["low", "high"] } },
+  });
+  assert.equal(manifest.countryUrl("fr", "glb", "high"), "glb/fr-high.glb");
+  assert.equal(manifest.countryUrl("fr", "glb", "medium"), "glb/fr-low.glb");
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  createColorScale,
+  formatColor,
+  interpolateColor,
+  parseColor,
+} from "../utils/colorScales.js";
+
+test("colors parse from hex strings and numbers", () => {
+  assert.deepEqual(parseColor("#ff8000"), [255, 128, 0]);
+  assert.deepEqual(parseColor("f80"), [255, 136, 0]);
+  assert.deepEqual(parseColor(0x0080ff), [0, 128, 255]);
+  assert.equal(formatColor([255, 128, 0]), "#ff8000");
+  assert.throws(() => parseColor("red"), /Unsupported color/);
+  assert.equal(interpolateColor("#000000", "#ffffff", 0.5), "#808080");
+});
+
+test("sequential scales interpolate over the data extent", () => {
+  const scale = createColorScale(
+    { type: "sequential", colors: ["#000000", "#ffffff"] },
+    [10, 20, null, 30]
+  );
+  assert.equal(scale.color(10), "#000000");
+  assert.equal(scale.color(20), "#808080");
+  assert.equal(scale.color(40), "#ffffff");
+  assert.equal(scale.color(null), null);
+  assert.equal(scale.color(NaN), null);
+  assert.deepEqual(scale.legend().stops, [
+    { color: "#000000", value: 10 },
+    { color: "#ffffff", value: 30 },
+  ]);
+});
+
+test("one-colour sequential scales are constant", () => {
+  const scale = createColorScale({ type: "sequential", colors: ["#336699"] });
+  assert.equal(scale.color(0.5), "#336699");
+  assert.deepEqual(scale.legend().stops, [{ color: "#336699", value: 0 }]);
+});
+
+test("diverging scales map each half of the domain to half the colors", () => {
+  const scale = createColorScale({
+    type: "diverging",
+    domain: [-10, 0, 30],
+    colors: ["#0000ff", "#ffffff", "#ff0000"],
+  });
+  assert.equal(scale.color(-10), "#0000ff");
+  assert.equal(scale.color(0), "#ffffff");
+  assert.equal(scale.color(15), "#ff8080");
+  assert.equal(scale.color(30), "#ff0000");
+});
+
+test("quantile scales split the data into equal classes", () => {
+  const scale = createColorScale(
+    { type: "quantile", colors: ["#000001", "#000002", "#000003"] },
+    [1, 2, 3, 4, 5, 6, 7]
+  );
+  assert.deepEqual(scale.breaks, [3, 5]);
+  assert.equal(scale.color(1), "#000001");
+  assert.equal(scale.color(4), "#000002");
+  assert.equal(scale.color(7), "#000003");
+  assert.deepEqual(
+    scale.legend().items.map(({ label }) => label),
+    ["< 3", "3 – 5", "≥ 5"]
+  );
+});
+
+test("quantile scales without data have an empty legend", () => {
+  const scale = createColorScale({ type: "quantile", colors: ["#000001"] });
+  assert.equal(scale.color(1), "#000001");
+  assert.deepEqual(scale.legend(), { type: "classes", items: [] });
+});
+
+test("threshold scales need one color more than thresholds", () => {
+  const scale = createColorScale({
+    type: "threshold",
+    thresholds: [10],
+    colors: ["#000001", "#000002"],
+  });
+  assert.equal(scale.color(9.9), "#000001");
+  assert.equal(scale.color(10), "#000002");
+  assert.throws(
+    () =>
+      createColorScale({
+        type: "threshold",
+        thresholds: [1, 2],
+        colors: ["#000001"],
+      }),
+    /one color more/
+  );
+  assert.equal(
+    createColorScale({ type: "threshold", colors: ["#000001"] }).legend()
+      .items[0].label,
+    "all values"
+  );
+});
+
+test("categorical scales fall back to `other`", () => {
+  const scale = createColorScale({
+    type: "categorical",
+    categories: { yes: "#00ff00", no: "#ff0000" },
+    other: "#cccccc",
+  });
+  assert.equal(scale.color("yes"), "#00ff00");
+  assert.equal(scale.color("maybe"), "#cccccc");
+  assert.equal(scale.color(undefined), null);
+  assert.equal(scale.legend().items.length, 2);
+});
+
+test("unknown scale types throw", () => {
+  assert.throws(() => createColorScale({ type: "rainbow" }), /Unknown/);
+});
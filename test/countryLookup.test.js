@@ -0,0 +1,152 @@
+// Run with `npm test` (node --test), no browser or network needed
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { CountryLookup } from "../utils/countryLookup.js";
+
+function country(...polygons) {
+  return {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        properties: { name: "test" },
+        geometry: { type: "MultiPolygon", coordinates: polygons },
+      },
+    ],
+  };
+}
+
+// A box with a hole in the middle
+const SQUARE = country([
+  [
+    [0, 0],
+    [10, 0],
+    [10, 10],
+    [0, 10],
+    [0, 0],
+  ],
+  [
+    [4, 4],
+    [6, 4],
+    [6, 6],
+    [4, 6],
+    [4, 4],
+  ],
+]);
+
+// Crosses the antimeridian without being split, like Fiji in some datasets
+const FIJI = country([
+  [
+    [177, -16],
+    [-178, -16],
+    [-178, -19],
+    [177, -19],
+    [177, -16],
+  ],
+]);
+
+// Cut along ±180° and closed through the south pole, like Antarctica
+const ANTARCTICA = country([
+  [
+    [-180, -70],
+    [-90, -72],
+    [0, -70],
+    [90, -68],
+    [180, -70],
+    [180, -90],
+    [-180, -90],
+    [-180, -70],
+  ],
+]);
+
+// Winds around the north pole without touching it
+const ARCTIC = country([
+  [
+    [-170, 80],
+    [-60, 80],
+    [60, 80],
+    [170, 80],
+    [-170, 80],
+  ],
+]);
+
+function createLookup() {
+  const lookup = new CountryLookup();
+  lookup.addCountry("sq", SQUARE);
+  lookup.addCountry("fj", FIJI);
+  lookup.addCountry("aq", ANTARCTICA);
+  lookup.addCountry("ar", ARCTIC);
+  return lookup;
+}
+
+const codeAt = (lookup, lat, lng) => {
+  const result = lookup.countryAt(lat, lng, { distance: false });
+  return result && result.code;
+};
+
+test("countryAt finds the country containing a point", () => {
+  const lookup = createLookup();
+  const result = lookup.countryAt(2, 2);
+  assert.equal(result.code, "sq");
+  assert.deepEqual(result.properties, { name: "test" });
+  assert.ok(result.distanceToBorder > 200 && result.distanceToBorder < 250);
+
+  assert.equal(codeAt(lookup, 5, 5), null); // In the hole
+  assert.equal(codeAt(lookup, 20, 20), null);
+});
+
+test("countryAt handles rings crossing the antimeridian", () => {
+  const lookup = createLookup();
+  assert.equal(codeAt(lookup, -17, 179), "fj");
+  assert.equal(codeAt(lookup, -17, -179), "fj");
+  assert.equal(codeAt(lookup, -17, 180), "fj");
+  assert.equal(codeAt(lookup, -17, 170), null);
+  assert.equal(codeAt(lookup, -17, -170), null);
+});
+
+test("countryAt handles rings containing a pole", () => {
+  const lookup = createLookup();
+  assert.equal(codeAt(lookup, -80, 0), "aq");
+  assert.equal(codeAt(lookup, -80, 179.5), "aq");
+  assert.equal(codeAt(lookup, -60, 0), null);
+
+  assert.equal(codeAt(lookup, 85, 0), "ar");
+  assert.equal(codeAt(lookup, 85, 180), "ar");
+  assert.equal(codeAt(lookup, 89.9, -100), "ar");
+  assert.equal(codeAt(lookup, 75, 0), null);
+});
+
+test("countriesAt accepts { lat, lng } objects and [lng, lat] pairs", () => {
+  const lookup = createLookup();
+  const results = lookup.countriesAt(
+    [{ lat: 2, lng: 2 }, [-179, -17], [50, 50]],
+    { distance: false }
+  );
+  assert.deepEqual(
+    results.map((result) => result && result.code),
+    ["sq", "fj", null]
+  );
+});
+
+test("loadCountries reads countries through the fetcher and countryUrl", async () => {
+  const files = { "data/sq.geojson": SQUARE };
+  const requested = [];
+  const lookup = new CountryLookup({
+    countryUrl: (code) => `data/${code}.geojson`,
+    fetcher: async (url) => {
+      requested.push(url);
+      return files[url]
+        ? new Response(JSON.stringify(files[url]))
+        : new Response("", { status: 404 });
+    },
+  });
+
+  const { loaded, failed } = await lookup.loadCountries(["sq", "xx"]);
+  assert.equal(loaded, 1);
+  assert.deepEqual(
+    failed.map(({ code }) => code),
+    ["xx"]
+  );
+  assert.deepEqual(requested.sort(), ["data/sq.geojson", "data/xx.geojson"]);
+  assert.equal(codeAt(lookup, 2, 2), "sq");
+});
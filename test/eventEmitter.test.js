@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { EventEmitter } from "../utils/eventEmitter.js";
+
+test("off removes a listener added with once", () => {
+  const events = new EventEmitter(["change"]);
+  const calls = [];
+  const listener = (event) => calls.push(event.value);
+  events.once("change", listener);
+  events.off("change", listener);
+  events.emit("change", { value: 1 });
+  assert.deepEqual(calls, []);
+  assert.equal(events.hasListeners("change"), false);
+});
+
+test("once listeners are called a single time", () => {
+  const events = new EventEmitter(["change"]);
+  const calls = [];
+  events.once("change", (event) => calls.push(event.value));
+  events.emit("change", { value: 1 });
+  events.emit("change", { value: 2 });
+  assert.deepEqual(calls, [1]);
+});
+
+test("a throwing listener does not stop the others", (t) => {
+  t.mock.method(console, "error", () => {});
+  const events = new EventEmitter(["change"]);
+  const calls = [];
+  events.on("change", () => {
+    throw new Error("boom");
+  });
+  events.on("change", (event) => calls.push(event.value));
+  events.emit("change", { value: 1 });
+  assert.deepEqual(calls, [1]);
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test("unknown event types throw", () => {
+  const events = new EventEmitter(["change"]);
+  assert.throws(() => events.on("chnage", () => {}), /Unknown event type/);
+});
@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { DOMParser } from "@xmldom/xmldom";
+import { parseCsv, parseGpx, parseKml } from "../utils/importers.js";
+
+// Outside browsers the XML parsers take a parsed Document
+function xml(text) {
+  return new DOMParser().parseFromString(text, "application/xml");
+}
+
+test("parseGpx reads waypoints, routes and tracks", () => {
+  const { features } = parseGpx(
+    xml(`<gpx xmlns="http://www.topografix.com/GPX/1/1">
+      <wpt lat="48.85" lon="2.35"><ele>35</ele><name>Paris</name></wpt>
+      <rte><name>Route</name>
+        <rtept lat="1" lon="2"/><rtept lat="3" lon="4"/>
+      </rte>
+      <trk><name>Track</name>
+        <trkseg>
+          <trkpt lat="10" lon="20"><time>2024-01-01T00:00:00Z</time></trkpt>
+          <trkpt lat="11" lon="21"/>
+        </trkseg>
+      </trk>
+    </gpx>`)
+  );
+
+  assert.deepEqual(
+    features.map(({ geometry, properties }) => [
+      geometry.type,
+      properties.kind,
+    ]),
+    [
+      ["Point", "waypoint"],
+      ["LineString", "route"],
+      ["MultiLineString", "track"],
+    ]
+  );
+  assert.deepEqual(features[0].geometry.coordinates, [2.35, 48.85, 35]);
+  assert.equal(features[0].properties.name, "Paris");
+  assert.deepEqual(features[2].properties.times, [
+    ["2024-01-01T00:00:00Z", null],
+  ]);
+});
+
+test("parseGpx skips points with missing or invalid coordinates", () => {
+  const { features } = parseGpx(
+    xml(`<gpx>
+      <wpt lon="2"/>
+      <wpt lat="" lon="2"/>
+      <wpt lat="abc" lon="2"/>
+      <wpt lat="95" lon="2"/>
+      <wpt lat="1" lon="2"/>
+      <rte><rtept lat="1" lon="2"/><rtept lon="3"/></rte>
+      <trk><trkseg>
+        <trkpt lat="1" lon="2"/><trkpt lat="1" lon="x"/><trkpt lat="2" lon="3"/>
+      </trkseg></trk>
+    </gpx>`)
+  );
+
+  // The route has a single valid point left and is dropped
+  assert.deepEqual(
+    features.map(({ geometry }) => geometry),
+    [
+      { type: "Point", coordinates: [2, 1] },
+      {
+        type: "MultiLineString",
+        coordinates: [
+          [
+            [2, 1],
+            [3, 2],
+          ],
+        ],
+      },
+    ]
+  );
+});
+
+test("parseKml reads Point, LineString and Polygon placemarks", () => {
+  const { features } = parseKml(
+    xml(`<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+      <Style id="red"><LineStyle><color>ff0000ff</color><width>3</width></LineStyle></Style>
+      <Placemark><name>Point</name>
+        <Point><coordinates>2.35,48.85,35</coordinates></Point>
+      </Placemark>
+      <Placemark><name>Line</name><styleUrl>#red</styleUrl>
+        <LineString><coordinates>0,0 1,1
+          2,2</coordinates></LineString>
+      </Placemark>
+      <Placemark><name>Polygon</name>
+        <ExtendedData><Data name="population"><value>42</value></Data></ExtendedData>
+        <Polygon>
+          <outerBoundaryIs><LinearRing><coordinates>
+            0,0 10,0 10,10 0,10 0,0
+          </coordinates></LinearRing></outerBoundaryIs>
+          <innerBoundaryIs><LinearRing><coordinates>
+            4,4 6,4 6,6 4,6 4,4
+          </coordinates></LinearRing></innerBoundaryIs>
+        </Polygon>
+      </Placemark>
+      <Placemark><name>Empty</name><Point><coordinates></coordinates></Point></Placemark>
+    </Document></kml>`)
+  );
+
+  assert.deepEqual(
+    features.map(({ geometry, properties }) => [
+      geometry.type,
+      properties.name,
+    ]),
+    [
+      ["Point", "Point"],
+      ["LineString", "Line"],
+      ["Polygon", "Polygon"],
+    ]
+  );
+  assert.deepEqual(features[0].geometry.coordinates, [2.35, 48.85, 35]);
+  assert.deepEqual(features[1].geometry.coordinates, [
+    [0, 0],
+    [1, 1],
+    [2, 2],
+  ]);
+  assert.equal(features[1].properties.stroke, "#ff0000");
+  assert.equal(features[1].properties["stroke-width"], 3);
+  assert.equal(features[2].geometry.coordinates.length, 2);
+  assert.equal(features[2].properties.population, "42");
+});
+
+test("parseCsv keeps values as strings unless numbers are requested", () => {
+  const csv = "name,lat,lng,zip,population\nParis,48.85,2.35,01234,2100000\n";
+
+  const [strings] = parseCsv(csv).features;
+  assert.deepEqual(strings.geometry.coordinates, [2.35, 48.85]);
+  assert.deepEqual(strings.properties, {
+    name: "Paris",
+    zip: "01234",
+    population: "2100000",
+  });
+
+  const [some] = parseCsv(csv, { numbers: ["Population"] }).features;
+  assert.equal(some.properties.zip, "01234");
+  assert.equal(some.properties.population, 2100000);
+
+  const [all] = parseCsv(csv, { numbers: true }).features;
+  assert.equal(all.properties.zip, 1234);
+  assert.equal(all.properties.name, "Paris");
+});
+
+test("parseCsv reads quoted fields and skips rows without coordinates", () => {
+  const csv = [
+    "name;latitude;longitude;note",
+    '"Saint-Denis; Réunion";-20.88;55.45;"said ""hi""\nthen left"',
+    "Nowhere;;10;",
+    "Far;91;10;",
+  ].join("\r\n");
+
+  const { features, skipped } = parseCsv(csv);
+  assert.equal(skipped, 2);
+  assert.equal(features.length, 1);
+  assert.deepEqual(features[0].properties, {
+    name: "Saint-Denis; Réunion",
+    note: 'said "hi"\nthen left',
+  });
+});
+
+test("parseCsv needs coordinate columns", () => {
+  assert.throws(() => parseCsv("name,x_pos\na,1"), /no latitude column/);
+});
@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { MeshCache, hashString } from "../utils/meshCache.js";
+
+const part = (code) => ({ code, lod: 1, radius: 100, format: "mesh" });
+
+test("hashString is stable and tells strings apart", () => {
+  assert.equal(hashString(""), "811c9dc5");
+  assert.equal(hashString("abc"), hashString("abc"));
+  assert.notEqual(hashString("abc"), hashString("abd"));
+  assert.match(hashString("{}"), /^[0-9a-f]{8}$/);
+});
+
+test("falls back to memory and counts hits and misses", async () => {
+  const cache = new MeshCache();
+  assert.equal(await cache.get(part("FR")), undefined);
+  assert.equal(await cache.set(part("FR"), { vertices: [1] }, 10), true);
+  assert.deepEqual(await cache.get(part("FR")), { vertices: [1] });
+  assert.equal(await cache.get({ ...part("FR"), hash: "other" }), undefined);
+
+  const stats = cache.stats();
+  assert.equal(stats.storage, "memory");
+  assert.equal(stats.entries, 1);
+  assert.equal(stats.size, 10);
+  assert.equal(stats.hits, 1);
+  assert.equal(stats.misses, 2);
+});
+
+test("evicts the least recently used entries over the quota", async (t) => {
+  let now = 0;
+  t.mock.method(Date, "now", () => ++now);
+  const cache = new MeshCache({ quota: 25 });
+  await cache.set(part("FR"), "fr", 10);
+  await cache.set(part("DE"), "de", 10);
+  await cache.get(part("FR"));
+  await cache.set(part("IT"), "it", 10);
+
+  assert.equal(await cache.get(part("DE")), undefined);
+  assert.equal(await cache.get(part("FR")), "fr");
+  assert.equal(await cache.get(part("IT")), "it");
+  assert.equal(cache.stats().evictions, 1);
+  assert.equal(cache.size, 20);
+});
+
+test("refuses values larger than the quota and replaces existing keys", async () => {
+  const cache = new MeshCache({ quota: 10 });
+  assert.equal(await cache.set(part("FR"), "big", 11), false);
+  await cache.set(part("FR"), "a", 4);
+  await cache.set(part("FR"), "b", 6);
+  assert.equal(await cache.get(part("FR")), "b");
+  assert.equal(cache.size, 6);
+
+  await cache.delete(part("FR"));
+  assert.equal(cache.size, 0);
+  await cache.set(part("DE"), "de", 3);
+  await cache.clear();
+  assert.equal(cache.stats().entries, 0);
+});
+
+test("store failures count as misses", async (t) => {
+  const cache = new MeshCache();
+  await cache.set(part("FR"), "fr", 1);
+  t.mock.method(cache.store, "getValue", async () => {
+    throw new Error("blocked");
+  });
+  assert.equal(await cache.get(part("FR")), undefined);
+  assert.equal(cache.stats().failures, 1);
+  assert.equal(cache.stats().entries, 0);
+});
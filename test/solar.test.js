@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { latLngTo3DPosition } from "../utils/geoUtils.js";
+import { subsolarPoint, sunDirection } from "../utils/solar.js";
+
+const close = (actual, expected, tolerance, message) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${message}: ${actual} is not within ${tolerance} of ${expected}`
+  );
+
+test("the subsolar latitude follows the seasons", () => {
+  const equinox = subsolarPoint(new Date("2024-03-20T03:06:00Z"));
+  close(equinox.lat, 0, 0.1, "March equinox");
+
+  const juneSolstice = subsolarPoint(new Date("2024-06-20T20:51:00Z"));
+  close(juneSolstice.lat, 23.44, 0.1, "June solstice");
+
+  const decemberSolstice = subsolarPoint(new Date("2024-12-21T09:20:00Z"));
+  close(decemberSolstice.lat, -23.44, 0.1, "December solstice");
+});
+
+test("the subsolar longitude follows the time of day", () => {
+  // The equation of time puts the sun ~7.5 minutes behind noon in late March
+  const noon = subsolarPoint(new Date("2024-03-20T12:00:00Z"));
+  close(noon.lng, 1.9, 0.5, "noon UTC");
+
+  const midnight = subsolarPoint(new Date("2024-03-20T00:00:00Z"));
+  close(Math.abs(midnight.lng), 178, 0.5, "midnight UTC");
+  assert.ok(midnight.lng >= -180 && midnight.lng < 180);
+
+  const evening = subsolarPoint(new Date("2024-03-20T18:00:00Z"));
+  close(evening.lng, noon.lng - 90, 0.1, "six hours later");
+});
+
+test("sunDirection is the unit vector to the subsolar point", () => {
+  const date = new Date("2024-06-20T20:51:00Z");
+  const { lat, lng } = subsolarPoint(date);
+  const direction = sunDirection(date);
+  const [x, y, z] = latLngTo3DPosition(lat, lng, 1);
+
+  close(direction.length(), 1, 1e-9, "length");
+  close(direction.x, x, 1e-9, "x");
+  close(direction.y, y, 1e-9, "y");
+  close(direction.z, z, 1e-9, "z");
+  assert.ok(direction.y > 0, "the sun is north of the equator in June");
+});
@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  SpatialIndex,
+  bboxContains,
+  buildCountryIndex,
+  geometryBBoxes,
+  ringBBox,
+} from "../utils/spatialIndex.js";
+
+const box = (west, south, east, north) => [
+  [west, south],
+  [east, south],
+  [east, north],
+  [west, north],
+  [west, south],
+];
+
+const country = (name, ...polygons) => ({
+  name,
+  type: "FeatureCollection",
+  features: [
+    {
+      type: "Feature",
+      properties: {},
+      geometry: {
+        type: "MultiPolygon",
+        coordinates: polygons.map((ring) => [ring]),
+      },
+    },
+  ],
+});
+
+test("ring boxes handle the antimeridian and the poles", () => {
+  assert.deepEqual(ringBBox(box(10, 20, 30, 40)), [10, 20, 30, 40]);
+  assert.deepEqual(ringBBox(box(170, -20, -170, -10)), [170, -20, -170, -10]);
+
+  const aroundSouthPole = [
+    [-180, -70],
+    [-90, -65],
+    [0, -70],
+    [90, -65],
+    [180, -70],
+  ];
+  assert.deepEqual(ringBBox(aroundSouthPole), [-180, -90, 180, -65]);
+});
+
+test("one box per polygon, ignoring other geometries", () => {
+  const { geometry } = country("X", box(0, 0, 1, 1), box(50, 50, 51, 51))
+    .features[0];
+  assert.deepEqual(geometryBBoxes(geometry), [
+    [0, 0, 1, 1],
+    [50, 50, 51, 51],
+  ]);
+  assert.deepEqual(geometryBBoxes({ type: "Point", coordinates: [0, 0] }), []);
+  assert.deepEqual(geometryBBoxes(null), []);
+});
+
+test("boxes crossing the antimeridian contain both sides", () => {
+  const bbox = [170, -20, -170, -10];
+  assert.equal(bboxContains(bbox, -15, 175), true);
+  assert.equal(bboxContains(bbox, -15, -175), true);
+  assert.equal(bboxContains(bbox, -15, 0), false);
+  assert.equal(bboxContains(bbox, 0, 175), false);
+});
+
+test("finds countries per polygon, smallest box first", () => {
+  const index = buildCountryIndex([
+    country("ZA", box(16, -35, 33, -22)),
+    country("LS", box(27, -30.7, 29.5, -28.5)),
+    country("FJ", box(177, -19, -179, -16)),
+    country("US", box(-125, 25, -67, 49), box(-170, 52, -130, 71)),
+    null,
+  ]);
+
+  assert.deepEqual(
+    index.search(-29.5, 28).map((item) => item.code),
+    ["LS", "ZA"]
+  );
+  assert.deepEqual(
+    index.search(-18, -179.5).map((item) => item.code),
+    ["FJ"]
+  );
+  assert.deepEqual(
+    index.search(-18, 180.5).map((item) => item.code),
+    ["FJ"]
+  );
+  assert.deepEqual(
+    index.search(64, -150).map((item) => item.code),
+    ["US"]
+  );
+  // Between Alaska and the mainland
+  assert.deepEqual(index.search(50, -128), []);
+});
+
+test("survives a JSON round trip", () => {
+  const index = new SpatialIndex(10);
+  index.insert([-10, -10, 10, 10], { code: "A" });
+  index.insert([175, 0, -175, 5], { code: "B" });
+
+  const restored = SpatialIndex.fromJSON(JSON.parse(JSON.stringify(index)));
+  assert.equal(restored.cellSize, 10);
+  assert.deepEqual(restored.search(0, 0), [{ code: "A" }]);
+  assert.deepEqual(restored.search(2, -178), [{ code: "B" }]);
+  assert.deepEqual(restored.search(2, 90), []);
+});
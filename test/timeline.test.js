@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { Timeline } from "../systems/timeline.js";
+
+function recorder() {
+  const calls = [];
+  return { calls, setData: (data) => calls.push(data) };
+}
+
+test("frames are sorted and interpolated between", () => {
+  const target = recorder();
+  const timeline = new Timeline(
+    { 2010: { fr: 20 }, 2000: { fr: 10, de: 5 } },
+    { targets: [target] }
+  );
+  assert.deepEqual(target.calls, [{ fr: 10, de: 5 }]);
+
+  timeline.seek(2005);
+  assert.deepEqual(target.calls.at(-1), { fr: 15, de: 5 });
+  assert.equal(timeline.currentTime, 2005);
+
+  timeline.seek(3000);
+  assert.deepEqual(target.calls.at(-1), { fr: 20 });
+});
+
+test("arrays of points are interpolated element-wise", () => {
+  const target = recorder();
+  const timeline = new Timeline(
+    [
+      { time: 0, data: [{ lat: 0, lng: 0, name: "a" }] },
+      { time: 1, data: [{ lat: 10, lng: 20, name: "b" }] },
+    ],
+    { targets: [target] }
+  );
+  timeline.seek(0.5);
+  assert.deepEqual(target.calls.at(-1), [{ lat: 5, lng: 10, name: "a" }]);
+});
+
+test("unchanged data is not pushed again", () => {
+  const target = recorder();
+  const timeline = new Timeline(
+    [
+      { time: 0, data: { fr: 1 } },
+      { time: 1, data: { fr: 1 } },
+      { time: 2, data: { fr: 2 } },
+    ],
+    { targets: [target] }
+  );
+  timeline.seekFrame(1);
+  timeline.seek(1.5);
+  timeline.seek(1.5);
+  assert.deepEqual(target.calls, [{ fr: 1 }, { fr: 1.5 }]);
+});
+
+test("tick plays, stops at the end and loops", () => {
+  const times = [];
+  const timeline = new Timeline(
+    [
+      { time: 0, data: {} },
+      { time: 10, data: {} },
+      { time: 20, data: {} },
+    ],
+    { frameDuration: 1, onTimeChange: ({ time }) => times.push(time) }
+  );
+  timeline.play();
+  timeline.tick(0.5);
+  assert.equal(timeline.currentTime, 5);
+  timeline.tick(5);
+  assert.equal(timeline.currentTime, 20);
+  assert.equal(timeline.playing, false);
+
+  timeline.loop = true;
+  timeline.play();
+  timeline.tick(2.5);
+  assert.equal(timeline.currentTime, 5);
+  assert.equal(times.at(-1), 5);
+});
+
+test("date strings are times and bad frames are dropped", () => {
+  const target = recorder();
+  const timeline = new Timeline(
+    [
+      { time: "2024-01-02", data: { v: 2 } },
+      { time: "not a date", data: { v: 0 } },
+      { time: new Date("2024-01-01"), data: { v: 1 } },
+    ],
+    { targets: [target] }
+  );
+  assert.equal(timeline.frames.length, 2);
+  timeline.seek("2024-01-01T12:00:00Z");
+  assert.deepEqual(target.calls.at(-1), { v: 1.5 });
+  assert.throws(() => new Timeline({}), /at least one frame/);
+});
+
+test("data-driven scales get the values of every frame", () => {
+  const target = {
+    ...recorder(),
+    setDomainValues(values) {
+      this.values = values;
+    },
+  };
+  const timeline = new Timeline(
+    { 1: { fr: 1 }, 2: { fr: 3, de: 2 } },
+    { targets: [target] }
+  );
+  assert.deepEqual(target.values, [1, 3, 2]);
+  timeline.removeTarget(target);
+  assert.equal(target.values, null);
+});
@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { Topology } from "../utils/topojson.js";
+
+// Two unit squares sharing the edge x = 1, quantized with a transform
+const topology = {
+  type: "Topology",
+  transform: { scale: [0.5, 1], translate: [10, 20] },
+  arcs: [
+    [
+      [1, 0],
+      [0, 1],
+    ],
+    [
+      [1, 1],
+      [-1, 0],
+      [0, -1],
+      [1, 0],
+    ],
+    [
+      [1, 0],
+      [1, 0],
+      [0, 1],
+      [-1, 0],
+    ],
+  ],
+  objects: {
+    countries: {
+      type: "GeometryCollection",
+      geometries: [
+        { type: "Polygon", id: "A", properties: { name: "A" }, arcs: [[0, 1]] },
+        { type: "Polygon", id: "B", arcs: [[~0, 2]] },
+        { type: null, id: "C" },
+      ],
+    },
+    capital: { type: "Point", coordinates: [2, 3] },
+  },
+};
+
+test("rejects anything but a Topology", () => {
+  assert.throws(() => new Topology({ type: "FeatureCollection" }), /Topology/);
+  assert.throws(() => new Topology(null), /Topology/);
+});
+
+test("lists objects and their geometries", () => {
+  const topo = new Topology(topology);
+  assert.deepEqual(topo.objectNames(), ["countries", "capital"]);
+  assert.equal(topo.geometries("countries").length, 3);
+  assert.equal(topo.geometries("capital").length, 1);
+  assert.throws(() => topo.geometries("rivers"), /No object "rivers"/);
+});
+
+test("decodes delta-encoded arcs and shares them between rings", () => {
+  const topo = new Topology(topology);
+  const { features } = topo.featureCollection("countries");
+  assert.deepEqual(features[0], {
+    type: "Feature",
+    id: "A",
+    properties: { name: "A" },
+    geometry: {
+      type: "Polygon",
+      coordinates: [
+        [
+          [10.5, 20],
+          [10.5, 21],
+          [10, 21],
+          [10, 20],
+          [10.5, 20],
+        ],
+      ],
+    },
+  });
+  assert.deepEqual(features[1].geometry.coordinates, [
+    [
+      [10.5, 21],
+      [10.5, 20],
+      [11, 20],
+      [11, 21],
+      [10.5, 21],
+    ],
+  ]);
+  assert.deepEqual(features[1].properties, {});
+  assert.equal(features[2].geometry, null);
+  // The shared arc is decoded once, reversed copies leave it untouched
+  assert.equal(topo.arcs.size, 3);
+  assert.deepEqual(topo.arc(0), [
+    [10.5, 20],
+    [10.5, 21],
+  ]);
+});
+
+test("filters features and transforms point positions", () => {
+  const topo = new Topology(topology);
+  const collection = topo.featureCollection(
+    "countries",
+    (object) => object.id === "B"
+  );
+  assert.deepEqual(
+    collection.features.map((feature) => feature.id),
+    ["B"]
+  );
+  assert.deepEqual(topo.featureCollection("capital").features[0].geometry, {
+    type: "Point",
+    coordinates: [11, 23],
+  });
+});
+
+test("arcs without a transform are absolute positions", () => {
+  const topo = new Topology({
+    type: "Topology",
+    arcs: [
+      [
+        [0, 0],
+        [5, 5],
+      ],
+    ],
+    objects: { line: { type: "LineString", arcs: [~0] } },
+  });
+  assert.deepEqual(topo.featureCollection("line").features[0].geometry, {
+    type: "LineString",
+    coordinates: [
+      [5, 5],
+      [0, 0],
+    ],
+  });
+});
@@ -0,0 +1,241 @@
+// Helpers for geometries crossing the antimeridian or containing a pole.
+//
+// GeoJSON longitudes jump from 180 to -180 when a ring crosses the
+// antimeridian, and datasets usually cut such polygons along ±180° and close
+// polar ones (Antarctica) with edges along ±90°. Triangulating or drawing
+// the raw coordinates yields triangles and lines spanning the whole globe;
+// these helpers unwrap the longitudes, detect polar rings, and drop the
+// artificial cut edges from outlines.
+import { latLngTo3DPosition } from "./geoUtils.js";
+
+const EPSILON = 1e-9;
+const DEFAULT_MAX_SEGMENT_DEGREES = 1; // Longest straight segment in lines
+
+// Shift longitudes by multiples of 360° so that consecutive points never
+// jump by more than 180°, starting within 180° of `referenceLng`. The result
+// may extend past ±180°, which latLngTo3DPosition() handles.
+function unwrapRing(ring, referenceLng = ring[0][0]) {
+  let previous = referenceLng;
+  return ring.map(([lng, lat, ...rest]) => {
+    let unwrapped = lng;
+    while (unwrapped - previous > 180) unwrapped -= 360;
+    while (unwrapped - previous < -180) unwrapped += 360;
+    previous = unwrapped;
+    return [unwrapped, lat, ...rest];
+  });
+}
+
+function crossesAntimeridian(ring) {
+  for (let i = 1; i < ring.length; i++) {
+    if (Math.abs(ring[i][0] - ring[i - 1][0]) > 180) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// The pole enclosed by an unwrapped ring: 1 (north), -1 (south) or 0. A ring
+// enclosing a pole winds once around the globe and its unwrapped longitude
+// ends 360° away from where it started.
+function ringPole(unwrappedRing) {
+  const first = unwrappedRing[0];
+  const last = unwrappedRing[unwrappedRing.length - 1];
+  if (Math.abs(last[0] - first[0]) < 180) {
+    return 0;
+  }
+  let south = Infinity;
+  let north = -Infinity;
+  unwrappedRing.forEach(([, lat]) => {
+    south = Math.min(south, lat);
+    north = Math.max(north, lat);
+  });
+  return Math.abs(south) > Math.abs(north) ? -1 : 1;
+}
+
+// Unwrap a polygon's rings consistently (holes next to the outer ring) and
+// tell which pole, if any, the outer ring encloses
+function unwrapPolygon(rings) {
+  const outer = unwrapRing(rings[0]);
+  const unwrapped = [
+    outer,
+    ...rings.slice(1).map((ring) => unwrapRing(ring, outer[0][0])),
+  ];
+  return { rings: unwrapped, pole: ringPole(outer) };
+}
+
+// Azimuthal equidistant projection centered on a pole, in degrees. Polar
+// polygons are triangulated in this plane, where they are ordinary polygons.
+function polarProjection(pole) {
+  return ([lng, lat]) => {
+    const distance = 90 - pole * lat;
+    const angle = (lng * Math.PI) / 180;
+    return [distance * Math.cos(angle), pole * distance * Math.sin(angle)];
+  };
+}
+
+function onAntimeridian(lng, tolerance) {
+  return Math.abs(Math.abs(lng) - 180) < tolerance;
+}
+
+function onPole(lat, tolerance) {
+  return Math.abs(Math.abs(lat) - 90) < tolerance;
+}
+
+// Edges added when cutting a polygon along the antimeridian or closing it
+// through a pole; they are not real borders. Pass a larger `tolerance` (in
+// degrees) for points recovered from float32 mesh positions.
+function isCutEdge([lng1, lat1], [lng2, lat2], tolerance = EPSILON) {
+  return (
+    (onAntimeridian(lng1, tolerance) && onAntimeridian(lng2, tolerance)) ||
+    (onPole(lat1, tolerance) && onPole(lat2, tolerance))
+  );
+}
+
+// Split a ring into the paths worth drawing, without its cut edges. Returns
+// `{ paths, closed }`: a single closed path when nothing was cut.
+function ringOutlinePaths(ring) {
+  const points = ring.slice();
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    points.push(first);
+  }
+
+  const cutAt = [];
+  for (let i = 1; i < points.length; i++) {
+    if (isCutEdge(points[i - 1], points[i])) {
+      cutAt.push(i);
+    }
+  }
+  if (cutAt.length === 0) {
+    return { paths: [points.slice(0, -1)], closed: true };
+  }
+
+  // Start right after a cut so paths that wrap past the ring's first point
+  // stay in one piece
+  const start = cutAt[0];
+  const rotated = [...points.slice(start), ...points.slice(1, start)];
+
+  const paths = [];
+  let path = [rotated[0]];
+  for (let i = 1; i < rotated.length; i++) {
+    if (isCutEdge(rotated[i - 1], rotated[i])) {
+      if (path.length > 1) paths.push(path);
+      path = [rotated[i]];
+    } else {
+      path.push(rotated[i]);
+    }
+  }
+  if (path.length > 1) paths.push(path);
+
+  return { paths, closed: false };
+}
+
+// Flat `[x, y, z, ...]` positions along a path of [lng, lat] points, adding
+// points along great circles so no straight segment is longer than
+// `maxSegmentDegrees` and lines follow the globe instead of cutting through it
+function greatCirclePositions(
+  path,
+  radius,
+  maxSegmentDegrees = DEFAULT_MAX_SEGMENT_DEGREES
+) {
+  const positions = [];
+  let previous = null;
+
+  path.forEach(([lng, lat]) => {
+    const current = latLngTo3DPosition(lat, lng, 1);
+    if (previous) {
+      const dot = Math.min(
+        1,
+        Math.max(
+          -1,
+          previous[0] * current[0] +
+            previous[1] * current[1] +
+            previous[2] * current[2]
+        )
+      );
+      const angle = Math.acos(dot);
+      const steps = Math.ceil((angle * 180) / Math.PI / maxSegmentDegrees);
+      const sinAngle = Math.sin(angle);
+      // Spherical interpolation, skipped for (nearly) antipodal points
+      for (let step = 1; step < steps && sinAngle > EPSILON; step++) {
+        const t = step / steps;
+        const a = Math.sin((1 - t) * angle) / sinAngle;
+        const b = Math.sin(t * angle) / sinAngle;
+        positions.push(
+          (a * previous[0] + b * current[0]) * radius,
+          (a * previous[1] + b * current[1]) * radius,
+          (a * previous[2] + b * current[2]) * radius
+        );
+      }
+    }
+    positions.push(
+      current[0] * radius,
+      current[1] * radius,
+      current[2] * radius
+    );
+    previous = current;
+  });
+
+  return positions;
+}
+
+// Midpoint of a polygon edge in longitude and latitude, across the
+// antimeridian when the edge crosses it
+function lngLatMidpoint([lng1, lat1], [lng2, lat2]) {
+  const [[lng]] = unwrapRing([[lng2, lat2]], lng1);
+  return [(lng1 + lng) / 2, (lat1 + lat2) / 2];
+}
+
+// Flat `[x, y, z, ...]` positions along a path of polygon edges. GeoJSON
+// edges are straight in longitude and latitude, so each one is halved there
+// until no straight segment spans more than `maxSegmentDegrees` of arc. Fills
+// split their edges the same way (see tessellateOnSphere() in meshUtils.js),
+// which keeps outlines and borders on the edges of the fills.
+function edgePositions(
+  path,
+  radius,
+  maxSegmentDegrees = DEFAULT_MAX_SEGMENT_DEGREES
+) {
+  const minDot = Math.cos((maxSegmentDegrees * Math.PI) / 180);
+  const unit = ([lng, lat]) => latLngTo3DPosition(lat, lng, 1);
+  const positions = [];
+  const add = (vector) =>
+    positions.push(vector[0] * radius, vector[1] * radius, vector[2] * radius);
+
+  // Points strictly between `a` and `b`, in order
+  const split = (a, b, va, vb) => {
+    if (va[0] * vb[0] + va[1] * vb[1] + va[2] * vb[2] >= minDot) {
+      return;
+    }
+    const middle = lngLatMidpoint(a, b);
+    const vm = unit(middle);
+    split(a, middle, va, vm);
+    add(vm);
+    split(middle, b, vm, vb);
+  };
+
+  let previous = null;
+  path.forEach((point) => {
+    const current = unit(point);
+    if (previous) {
+      split(previous.point, point, previous.vector, current);
+    }
+    add(current);
+    previous = { point, vector: current };
+  });
+  return positions;
+}
+
+export {
+  unwrapRing,
+  crossesAntimeridian,
+  unwrapPolygon,
+  ringPole,
+  polarProjection,
+  isCutEdge,
+  ringOutlinePaths,
+  greatCirclePositions,
+  lngLatMidpoint,
+  edgePositions,
+};
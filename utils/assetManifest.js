@@ -0,0 +1,306 @@
+// Describes where the globe's assets live. A manifest is a plain object:
+//
+//   {
+//     version: "1",
+//     baseUrl: "https://cdn.example.com/earth/",
+//     earthTexture: "assets/earth_8k.jpg",
+//     earthNightTexture: "assets/earth_night.jpg", // city lights, sun mode
+//     earthBumpMap: "assets/earth_bump.jpg",         // World surfaceMaps
+//     earthSpecularMap: "assets/earth_specular.jpg",
+//     cloudsTexture: "assets/earth_clouds.jpg",      // World clouds
+//     starsTexture: null,                            // random stars if null
+//     tileUrl: "tiles/{z}/{x}/{y}.jpg",              // World.addTileLayer()
+//     countryCenters: "countryCenter.json",
+//     countryIndex: "countryIndex.json",
+//     countryGeoJson: "country/{code}.json",
+//     countryTopoJson: "countries.topo.json", // one file for every country
+//     topoJsonObject: "countries",           // object holding the countries
+//     topoJsonCode: "code",                  // property with the country code
+//     countryGlb: "glb/{code}.glb",          // may also use {lod}
+//     glbRadius: 100,                        // radius the GLBs were baked at
+//     defaultLod: undefined,
+//     countries: {
+//       fr: {
+//         formats: ["glb", "geojson"],      // in order of preference
+//         lods: ["low", "high"],
+//         center: { lat: 46.6, lng: 2.4 },
+//         checksums: { glb: "…", geojson: "…" }, // mesh cache keys
+//         files: { glb: "custom/france.glb" }, // overrides the templates
+//       },
+//     },
+//   }
+//
+// Countries missing from `countries` are assumed to only have GeoJSON.
+// With `countryTopoJson`, country GeoJSON is decoded from that file (matching
+// the `topoJsonCode` property, or the geometry id, case-insensitively) and
+// only countries missing from it are fetched from `countryGeoJson`.
+
+// Countries with a pre-baked GLB in the historical ./glb/ directory
+const LEGACY_GLB_COUNTRIES = [
+  "ps",
+  "er",
+  "fi",
+  "gm",
+  "ee",
+  "iq",
+  "hu",
+  "ht",
+  "es",
+  "pe",
+  "qa",
+  "si",
+  "sk",
+  "ro",
+  "pg",
+  "gn",
+  "fj",
+  "gy",
+  "ir",
+  "kz",
+  "ie",
+  "id",
+  "is",
+  "eg",
+  "sy",
+  "sn",
+  "ec",
+  "et",
+  "kh",
+  "jm",
+  "hr",
+  "pt",
+  "so",
+  "pa",
+  "sz",
+  "gh",
+  "jo",
+  "it",
+  "de",
+  "sl",
+  "cf",
+  "mm",
+  "na",
+  "mz",
+  "ml",
+  "cg",
+  "ao",
+  "bt",
+  "tn",
+  "tl",
+  "am",
+  "cr",
+  "az",
+  "ba",
+  "mn",
+  "my",
+  "mx",
+  "lk",
+  "cd",
+  "al",
+  "bw",
+  "tz",
+  "ve",
+  "tm",
+  "uz",
+  "bd",
+  "bs",
+  "ng",
+  "mk",
+  "np",
+  "ly",
+  "cv",
+  "br",
+  "ca",
+  "be",
+  "ws",
+  "th",
+  "za",
+  "uy",
+  "tj",
+  "vu",
+  "bg",
+  "ne",
+  "cu",
+  "bf",
+  "zw",
+  "zm",
+  "vn",
+  "co",
+  "md",
+  "la",
+  "me",
+  "lv",
+  "om",
+  "mr",
+  "ni",
+  "cy",
+  "af",
+  "cn",
+  "bj",
+  "tg",
+  "tr",
+  "ua",
+  "cl",
+  "lt",
+  "mg",
+  "lb",
+  "lu",
+  "ae",
+  "cz",
+  "bi",
+  "ar",
+  "cm",
+  "td",
+  "us",
+  "bz",
+  "ci",
+  "no",
+  "ch",
+  "ug",
+  "tt",
+  "by",
+  "au",
+  "bn",
+  "ma",
+  "nz",
+  "lr",
+  "ls",
+  "mw",
+  "nl",
+  "bo",
+  "at",
+  "ye",
+  "sv",
+  "sa",
+  "kp",
+  "kg",
+  "in",
+  "ge",
+  "gr",
+  "rs",
+  "pl",
+  "sb",
+  "py",
+  "dk",
+  "il",
+  "ke",
+  "kr",
+  "dj",
+  "gq",
+  "pk",
+  "gb",
+  "kw",
+  "do",
+  "gt",
+  "ru",
+  "sd",
+  "ph",
+  "ss",
+  "rw",
+  "dz",
+  "ga",
+  "fr",
+  "hn",
+  "jp",
+  "gw",
+  "sr",
+  "se",
+];
+
+// Reproduces the paths the library used before manifests existed
+const DEFAULT_MANIFEST = {
+  version: "1",
+  baseUrl: "",
+  earthTexture: "/assets/earth_8k.jpg",
+  earthNightTexture: null,
+  earthBumpMap: "/assets/earth_bump.jpg",
+  earthSpecularMap: "/assets/earth_specular.jpg",
+  cloudsTexture: "/assets/earth_clouds.jpg",
+  starsTexture: null,
+  tileUrl: null,
+  countryCenters: "./countryCenter.json",
+  countryIndex: "/countryIndex.json",
+  countryGeoJson: "/country/{code}.json",
+  countryTopoJson: null,
+  topoJsonObject: "countries",
+  topoJsonCode: "code",
+  countryGlb: "./glb/{code}.glb",
+  glbRadius: 100,
+  defaultLod: undefined,
+  countries: Object.fromEntries(
+    LEGACY_GLB_COUNTRIES.map((code) => [code, { formats: ["glb", "geojson"] }])
+  ),
+};
+
+const DEFAULT_FORMATS = ["geojson"];
+
+// Default fetcher. Anything with the same contract works, e.g. one serving
+// assets from memory in tests: `(url) => new Response(files[url])`.
+const defaultFetcher = (url) => fetch(url);
+
+class AssetManifest {
+  // A custom manifest replaces the legacy country list rather than adding to it
+  constructor(manifest = {}) {
+    Object.assign(this, DEFAULT_MANIFEST, manifest);
+    this.countries = manifest.countries || DEFAULT_MANIFEST.countries;
+  }
+
+  // Absolute or relative paths are returned as-is when there is no base URL.
+  // Optional assets left null (or empty) resolve to null.
+  resolve(path) {
+    if (!path) {
+      return null;
+    }
+    if (!this.baseUrl || /^[a-z][a-z0-9+.-]*:/i.test(path)) {
+      return path;
+    }
+    const base = this.baseUrl.endsWith("/") ? this.baseUrl : `${this.baseUrl}/`;
+    return base + path.replace(/^\.?\//, "");
+  }
+
+  country(code) {
+    return this.countries[code] || {};
+  }
+
+  // Available formats for a country, most preferred first
+  countryFormats(code) {
+    return this.country(code).formats || DEFAULT_FORMATS;
+  }
+
+  countryUrl(code, format, lod = this.defaultLod) {
+    const entry = this.country(code);
+    const lods = entry.lods || [];
+    const level = lods.length > 0 && !lods.includes(lod) ? lods[0] : lod;
+
+    const files = entry.files || {};
+    const template =
+      files[format] ||
+      (format === "glb" ? this.countryGlb : this.countryGeoJson);
+
+    return this.resolve(
+      template
+        .replace("{code}", code)
+        .replace("{lod}", level === undefined ? "" : level)
+    );
+  }
+
+  // Checksums only key the mesh cache, so a new file is never served from a
+  // stale cache entry. They are not checked against the downloaded data.
+  countryChecksum(code, format) {
+    const checksums = this.country(code).checksums || {};
+    return checksums[format];
+  }
+
+  // Centers listed in the manifest itself, `{ code: { lat, lng } }`
+  countryCenterOverrides() {
+    const centers = {};
+    Object.entries(this.countries).forEach(([code, entry]) => {
+      if (entry.center) {
+        centers[code] = entry.center;
+      }
+    });
+    return centers;
+  }
+}
+
+export { AssetManifest, defaultFetcher };
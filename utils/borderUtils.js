@@ -0,0 +1,276 @@
+// Country borders built from the topology of per-country GeoJSON.
+//
+// Outlining every country draws each land border twice, once per neighbour,
+// and coastlines look like political borders. Here each polygon edge is
+// matched with the edges of the other countries: an edge found in two
+// countries is an international border, an edge found in one country only is
+// coastline, and edges shared between polygons of the same country (e.g.
+// split features) are dropped. Borders touching a feature whose properties
+// have `disputed: true` are disputed. Edges are then chained back into as few
+// paths as possible, each drawn once.
+import * as THREE from "three";
+import { edgePositions, isCutEdge } from "./antimeridian.js";
+import { createLineMaterials, createScreenLines } from "./lineUtils.js";
+
+// Vertices closer than this (in degrees) are the same point
+const VERTEX_PRECISION = 1e-6;
+
+const BORDER_TYPES = ["coastline", "border", "disputed"];
+
+// Line styles per border type, see utils/lineUtils.js. `false` hides a type.
+const DEFAULT_BORDER_STYLES = {
+  coastline: { color: "#8fb8de", width: 1 },
+  border: { color: "#ffffff", width: 1.5 },
+  disputed: {
+    color: "#ffffff",
+    width: 1.5,
+    dashed: true,
+    dashSize: 0.6,
+    gapSize: 0.4,
+  },
+};
+
+function vertexKey([lng, lat]) {
+  return `${Math.round(lng / VERTEX_PRECISION)},${Math.round(
+    lat / VERTEX_PRECISION
+  )}`;
+}
+
+function polygonsOf(geometry) {
+  if (!geometry) {
+    return [];
+  }
+  if (geometry.type === "Polygon") {
+    return [geometry.coordinates];
+  }
+  if (geometry.type === "MultiPolygon") {
+    return geometry.coordinates;
+  }
+  return [];
+}
+
+// Every edge of every ring, keyed by its (undirected) end points, with the
+// countries it belongs to and how many times it was seen
+function collectEdges(geoJsons) {
+  const edges = new Map();
+
+  geoJsons.forEach((geoJson, index) => {
+    if (!geoJson || !geoJson.features) {
+      return;
+    }
+    const country = geoJson.name || String(index);
+
+    geoJson.features.forEach((feature) => {
+      const disputed = Boolean(
+        feature.properties && feature.properties.disputed
+      );
+      polygonsOf(feature.geometry).forEach((rings) => {
+        rings.forEach((ring) => {
+          for (let i = 1; i < ring.length; i++) {
+            const a = ring[i - 1];
+            const b = ring[i];
+            const keyA = vertexKey(a);
+            const keyB = vertexKey(b);
+            if (keyA === keyB || isCutEdge(a, b)) {
+              continue;
+            }
+            const key = keyA < keyB ? `${keyA}|${keyB}` : `${keyB}|${keyA}`;
+            let edge = edges.get(key);
+            if (!edge) {
+              edge = { a, b, keyA, keyB, countries: new Set(), count: 0 };
+              edges.set(key, edge);
+            }
+            edge.countries.add(country);
+            edge.count++;
+            edge.disputed = edge.disputed || disputed;
+          }
+        });
+      });
+    });
+  });
+
+  return edges;
+}
+
+function edgeType(edge) {
+  if (edge.countries.size > 1) {
+    return edge.disputed ? "disputed" : "border";
+  }
+  // Seen twice in a single country: the seam between two of its polygons
+  return edge.count > 1 ? null : "coastline";
+}
+
+// Chain edges into paths, starting from dead ends and junctions so that
+// paths only stop where they meet other paths; what remains are loops
+function chainEdges(edges) {
+  const byVertex = new Map();
+  edges.forEach((edge) => {
+    [edge.keyA, edge.keyB].forEach((key) => {
+      if (!byVertex.has(key)) byVertex.set(key, []);
+      byVertex.get(key).push(edge);
+    });
+  });
+
+  const used = new Set();
+  const walk = (edge, fromKey) => {
+    const path = [];
+    let current = edge;
+    let key = fromKey;
+    path.push(key === current.keyA ? current.a : current.b);
+    while (current && !used.has(current)) {
+      used.add(current);
+      const forward = key === current.keyA;
+      path.push(forward ? current.b : current.a);
+      key = forward ? current.keyB : current.keyA;
+      const next = byVertex.get(key);
+      current =
+        next.length === 2 ? next.find((other) => other !== current) : null;
+    }
+    return path;
+  };
+
+  const paths = [];
+  byVertex.forEach((vertexEdges, key) => {
+    if (vertexEdges.length !== 2) {
+      vertexEdges
+        .filter((edge) => !used.has(edge))
+        .forEach((edge) => paths.push(walk(edge, key)));
+    }
+  });
+  edges
+    .filter((edge) => !used.has(edge))
+    .forEach((edge) => paths.push(walk(edge, edge.keyA)));
+
+  return paths;
+}
+
+// Border segments of a set of per-country GeoJSON FeatureCollections, each
+// named after its country code (`geoJson.name`), as
+// `[{ type, countries, coordinates }]`. `type` is "coastline", "border" or
+// "disputed", `countries` the codes on either side and `coordinates` a path
+// of [lng, lat] points.
+function buildBorders(geoJsons) {
+  const groups = new Map();
+  collectEdges(geoJsons).forEach((edge) => {
+    const type = edgeType(edge);
+    if (!type) {
+      return;
+    }
+    const countries = [...edge.countries].sort();
+    const key = `${type}|${countries.join(",")}`;
+    if (!groups.has(key)) {
+      groups.set(key, { type, countries, edges: [] });
+    }
+    groups.get(key).edges.push(edge);
+  });
+
+  const segments = [];
+  groups.forEach(({ type, countries, edges }) => {
+    chainEdges(edges).forEach((coordinates) => {
+      segments.push({ type, countries, coordinates });
+    });
+  });
+  return segments;
+}
+
+// Split a path where it runs along the antimeridian or a pole
+function splitAtCutEdges(path) {
+  const paths = [];
+  let current = [path[0]];
+  for (let i = 1; i < path.length; i++) {
+    if (isCutEdge(path[i - 1], path[i])) {
+      if (current.length > 1) paths.push(current);
+      current = [path[i]];
+    } else {
+      current.push(path[i]);
+    }
+  }
+  if (current.length > 1) paths.push(current);
+  return paths;
+}
+
+// Same as buildBorders() from a decoded TopoJSON file (see
+// utils/topojson.js), where shared borders already are arcs referenced by
+// the countries on either side. `codeOf(geometry)` names the country of each
+// geometry of the object `objectName`.
+function buildTopologyBorders(topology, objectName, codeOf) {
+  const arcs = new Map(); // arc index -> { countries, count, disputed }
+
+  topology.geometries(objectName).forEach((geometry) => {
+    const polygons =
+      geometry.type === "Polygon"
+        ? [geometry.arcs]
+        : geometry.type === "MultiPolygon"
+          ? geometry.arcs
+          : [];
+    const country = codeOf(geometry);
+    const disputed = Boolean(
+      geometry.properties && geometry.properties.disputed
+    );
+
+    polygons.flat(2).forEach((index) => {
+      const arcIndex = index < 0 ? ~index : index;
+      let arc = arcs.get(arcIndex);
+      if (!arc) {
+        arc = { countries: new Set(), count: 0, disputed: false };
+        arcs.set(arcIndex, arc);
+      }
+      arc.countries.add(country);
+      arc.count++;
+      arc.disputed = arc.disputed || disputed;
+    });
+  });
+
+  const segments = [];
+  arcs.forEach((arc, arcIndex) => {
+    const type = edgeType(arc);
+    if (!type) {
+      return;
+    }
+    const countries = [...arc.countries].sort();
+    splitAtCutEdges(topology.arc(arcIndex)).forEach((coordinates) => {
+      segments.push({ type, countries, coordinates });
+    });
+  });
+  return segments;
+}
+
+// Screen-space lines for border segments, in one group per border type
+// (named after it) so types can be toggled. `styles` overrides
+// DEFAULT_BORDER_STYLES per type.
+function createBorderLines(segments, radius, styles = {}) {
+  const group = new THREE.Group();
+  group.name = "borders";
+
+  BORDER_TYPES.forEach((type) => {
+    const style =
+      styles[type] === false
+        ? false
+        : { ...DEFAULT_BORDER_STYLES[type], ...styles[type] };
+    if (!style) {
+      return;
+    }
+    const materials = createLineMaterials(style);
+    const typeGroup = new THREE.Group();
+    typeGroup.name = type;
+
+    segments
+      .filter((segment) => segment.type === type)
+      .forEach((segment) => {
+        // Loops end on their first point, so no closing segment is needed.
+        // Borders are country edges, split like the fills' edges.
+        const positions = edgePositions(segment.coordinates, radius);
+        typeGroup.add(...createScreenLines(positions, false, materials));
+      });
+    group.add(typeGroup);
+  });
+
+  return group;
+}
+
+export {
+  DEFAULT_BORDER_STYLES,
+  buildBorders,
+  buildTopologyBorders,
+  createBorderLines,
+};
@@ -0,0 +1,235 @@
+// Color scales mapping data values to colors, plus legend descriptors for
+// building a legend in the embedding app. Colors are returned as "#rrggbb"
+// strings, which both THREE.Color and CSS accept.
+//
+// Scale definitions:
+//   { type: "sequential", domain: [min, max], colors: [from, ..., to] }
+//   { type: "diverging", domain: [min, mid, max], colors: [low, mid, high] }
+//   { type: "quantile", colors: [c1, ..., cn] }           (breaks from data)
+//   { type: "threshold", thresholds: [t1, ..., tn-1], colors: [c1, ..., cn] }
+//   { type: "categorical", categories: { value: color }, other? }
+
+function parseColor(color) {
+  if (typeof color === "number") {
+    return [(color >> 16) & 255, (color >> 8) & 255, color & 255];
+  }
+
+  let hex = String(color).replace("#", "");
+  if (hex.length === 3) {
+    hex = hex
+      .split("")
+      .map((c) => c + c)
+      .join("");
+  }
+  if (!/^[0-9a-f]{6}$/i.test(hex)) {
+    throw new Error(`Unsupported color "${color}", use #rrggbb or a number`);
+  }
+  const value = parseInt(hex, 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function formatColor([r, g, b]) {
+  return (
+    "#" +
+    [r, g, b].map((c) => Math.round(c).toString(16).padStart(2, "0")).join("")
+  );
+}
+
+function interpolateColor(from, to, t) {
+  const a = parseColor(from);
+  const b = parseColor(to);
+  return formatColor(a.map((c, i) => c + (b[i] - c) * t));
+}
+
+// Piecewise-linear interpolation through evenly spaced color stops. A
+// single stop is a constant color.
+function interpolateStops(colors, t) {
+  if (colors.length < 2) {
+    return colors.length === 1 ? formatColor(parseColor(colors[0])) : null;
+  }
+  const clamped = Math.min(1, Math.max(0, t));
+  const position = clamped * (colors.length - 1);
+  const index = Math.min(Math.floor(position), colors.length - 2);
+  return interpolateColor(colors[index], colors[index + 1], position - index);
+}
+
+function isValue(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function quantileBreaks(values, count) {
+  const sorted = values.filter(isValue).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return [];
+  }
+
+  const breaks = [];
+  for (let i = 1; i < count; i++) {
+    const position = (sorted.length - 1) * (i / count);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    breaks.push(
+      sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+    );
+  }
+  return breaks;
+}
+
+// Legend items for class-based scales: [{ color, from, to, label }]
+function classLegend(breaks, colors) {
+  return colors.map((color, i) => {
+    const from = i === 0 ? null : breaks[i - 1];
+    const to = i === colors.length - 1 ? null : breaks[i];
+    let label;
+    if (from === null && to === null) {
+      label = "all values";
+    } else if (from === null) {
+      label = `< ${to}`;
+    } else if (to === null) {
+      label = `≥ ${from}`;
+    } else {
+      label = `${from} – ${to}`;
+    }
+    return { color, from, to, label };
+  });
+}
+
+function classIndex(breaks, value) {
+  let index = 0;
+  while (index < breaks.length && value >= breaks[index]) {
+    index++;
+  }
+  return index;
+}
+
+// Build a scale from its definition. `values` is the data the scale will be
+// used for, needed by data-driven scales (quantile) and as the default domain.
+// Returns `{ type, color(value), legend() }`; color() returns null for values
+// the scale cannot map (missing data).
+function createColorScale(definition, values = []) {
+  const { type = "sequential" } = definition;
+  const numbers = values.filter(isValue);
+  const extent = numbers.length
+    ? [Math.min(...numbers), Math.max(...numbers)]
+    : [0, 1];
+
+  switch (type) {
+    case "sequential": {
+      const { domain = extent, colors = ["#f7fbff", "#08306b"] } = definition;
+      const [min, max] = domain;
+      return {
+        type,
+        color: (value) =>
+          isValue(value)
+            ? interpolateStops(
+                colors,
+                max === min ? 0 : (value - min) / (max - min)
+              )
+            : null,
+        legend: () => ({
+          type: "gradient",
+          stops: colors.map((color, i) => ({
+            color,
+            value:
+              colors.length > 1
+                ? min + ((max - min) * i) / (colors.length - 1)
+                : min,
+          })),
+        }),
+      };
+    }
+
+    case "diverging": {
+      const { colors = ["#2166ac", "#f7f7f7", "#b2182b"] } = definition;
+      const domain = definition.domain || [
+        extent[0],
+        (extent[0] + extent[1]) / 2,
+        extent[1],
+      ];
+      const [min, mid, max] = domain;
+      return {
+        type,
+        color: (value) => {
+          if (!isValue(value)) {
+            return null;
+          }
+          // Each half of the domain maps to one half of the colors
+          const t =
+            value < mid
+              ? mid === min
+                ? 0.5
+                : ((value - min) / (mid - min)) * 0.5
+              : max === mid
+                ? 0.5
+                : 0.5 + ((value - mid) / (max - mid)) * 0.5;
+          return interpolateStops(colors, t);
+        },
+        legend: () => ({
+          type: "gradient",
+          stops: [
+            { color: colors[0], value: min },
+            { color: interpolateStops(colors, 0.5), value: mid },
+            { color: colors[colors.length - 1], value: max },
+          ],
+        }),
+      };
+    }
+
+    case "quantile":
+    case "threshold": {
+      const { colors } = definition;
+      if (!Array.isArray(colors) || colors.length === 0) {
+        throw new Error(`A ${type} scale needs a non-empty colors array`);
+      }
+      const breaks =
+        type === "quantile"
+          ? quantileBreaks(numbers, colors.length)
+          : definition.thresholds || [];
+      if (type === "threshold" && breaks.length !== colors.length - 1) {
+        throw new Error(
+          "A threshold scale needs one color more than thresholds"
+        );
+      }
+      return {
+        type,
+        breaks,
+        color: (value) =>
+          isValue(value) ? colors[classIndex(breaks, value)] : null,
+        // A quantile scale without data has no classes to show
+        legend: () => ({
+          type: "classes",
+          items:
+            type === "quantile" && numbers.length === 0
+              ? []
+              : classLegend(breaks, colors),
+        }),
+      };
+    }
+
+    case "categorical": {
+      const { categories = {}, other = null } = definition;
+      return {
+        type,
+        color: (value) =>
+          value === null || value === undefined
+            ? null
+            : Object.prototype.hasOwnProperty.call(categories, value)
+              ? categories[value]
+              : other,
+        legend: () => ({
+          type: "categories",
+          items: Object.entries(categories).map(([value, color]) => ({
+            color,
+            value,
+            label: value,
+          })),
+        }),
+      };
+    }
+
+    default:
+      throw new Error(`Unknown color scale type "${type}"`);
+  }
+}
+
+export { createColorScale, interpolateColor, parseColor, formatColor };
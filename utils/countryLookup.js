@@ -0,0 +1,198 @@
+// Offline reverse geocoding: which country contains a lat/lng coordinate.
+// This module has no three.js or DOM dependency so it can be used in Node
+// (data pipelines, unit tests) as well as in the browser.
+import { SpatialIndex, ringBBox } from "./spatialIndex.js";
+import {
+  EARTH_RADIUS_KM,
+  distanceToSegment,
+  pointInPolygon,
+} from "./geoUtils.js";
+
+// Any fetch-compatible function works, e.g. one reading files in Node and
+// wrapping them in a `Response`
+const defaultFetcher = (url) => fetch(url);
+
+async function fetchJson(fetcher, url) {
+  const response = await fetcher(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status}`);
+  }
+  return response.json();
+}
+
+function featurePolygons(feature) {
+  const geometry = feature && feature.geometry;
+  if (!geometry) {
+    return [];
+  }
+  if (geometry.type === "Polygon") {
+    return [geometry.coordinates];
+  }
+  if (geometry.type === "MultiPolygon") {
+    return geometry.coordinates;
+  }
+  return [];
+}
+
+// Distance in kilometers from a point to the closest edge of a polygon set
+function distanceToRings(lat, lng, polygons) {
+  let best = Infinity;
+  const kmPerDegree = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+  polygons.forEach((polygon) => {
+    polygon.forEach((ring) => {
+      for (let i = 1; i < ring.length; i++) {
+        const start = ring[i - 1];
+        const end = ring[i];
+
+        // Cheap lower bound: latitude difference to the segment's extent
+        const minLat = Math.min(start[1], end[1]);
+        const maxLat = Math.max(start[1], end[1]);
+        const latGap =
+          lat < minLat ? minLat - lat : lat > maxLat ? lat - maxLat : 0;
+        if (latGap * kmPerDegree >= best) {
+          continue;
+        }
+
+        best = Math.min(best, distanceToSegment(lat, lng, start, end));
+      }
+    });
+  });
+
+  return best;
+}
+
+// `countryUrl(code)` gives the URL of a country's GeoJSON for
+// loadCountries(), `${baseUrl}/country/${code}.json` by default. World passes
+// its asset manifest's, see utils/assetManifest.js.
+class CountryLookup {
+  constructor({
+    fetcher = defaultFetcher,
+    baseUrl = "",
+    countryUrl = (code) => `${baseUrl}/country/${code}.json`,
+  } = {}) {
+    this.fetcher = fetcher;
+    this.countryUrl = countryUrl;
+    this.index = new SpatialIndex();
+    this.countries = new Map();
+  }
+
+  hasCountry(code) {
+    return this.countries.has(code);
+  }
+
+  // Index the polygons of a country FeatureCollection
+  addCountry(code, geoJson) {
+    if (this.countries.has(code) || !geoJson || !geoJson.features) {
+      return;
+    }
+
+    const polygons = [];
+    geoJson.features.forEach((feature) => {
+      featurePolygons(feature).forEach((coordinates) => {
+        if (coordinates.length === 0) {
+          return;
+        }
+        const polygon = {
+          code,
+          coordinates,
+          properties: feature.properties || {},
+        };
+        polygons.push(polygon);
+        this.index.insert(ringBBox(coordinates[0]), polygon);
+      });
+    });
+
+    this.countries.set(code, polygons);
+  }
+
+  // Index a single FeatureCollection holding every country, reading the ISO
+  // code of each feature from `codeProperty`
+  addFeatureCollection(featureCollection, codeProperty = "iso_a2") {
+    const byCode = new Map();
+    featureCollection.features.forEach((feature) => {
+      const value = feature.properties && feature.properties[codeProperty];
+      if (!value) {
+        return;
+      }
+      const code = String(value).toLowerCase();
+      if (!byCode.has(code)) {
+        byCode.set(code, []);
+      }
+      byCode.get(code).push(feature);
+    });
+
+    byCode.forEach((features, code) =>
+      this.addCountry(code, { type: "FeatureCollection", features })
+    );
+  }
+
+  // Load the GeoJSON of each code from `countryUrl(code)`. Countries that
+  // fail to load are reported in the returned `failed` list instead of
+  // throwing.
+  async loadCountries(codes) {
+    const failed = [];
+    await Promise.all(
+      codes.map(async (code) => {
+        if (this.countries.has(code)) {
+          return;
+        }
+        try {
+          const url = this.countryUrl(code);
+          this.addCountry(code, await fetchJson(this.fetcher, url));
+        } catch (error) {
+          failed.push({ code, error });
+        }
+      })
+    );
+    return { loaded: codes.length - failed.length, failed };
+  }
+
+  async loadFeatureCollection(url, codeProperty) {
+    this.addFeatureCollection(await fetchJson(this.fetcher, url), codeProperty);
+  }
+
+  // Codes of the loaded countries whose polygon bounding boxes contain the
+  // point, smallest first
+  candidates(lat, lng) {
+    return [...new Set(this.index.search(lat, lng).map(({ code }) => code))];
+  }
+
+  // Returns `{ code, properties, distanceToBorder }` for the country
+  // containing the point, or null. `distanceToBorder` is in kilometers and
+  // can be skipped with `{ distance: false }` for faster batch lookups.
+  countryAt(lat, lng, { distance = true } = {}) {
+    const polygon = this.index
+      .search(lat, lng)
+      .find(({ coordinates }) => pointInPolygon(lat, lng, coordinates));
+
+    if (!polygon) {
+      return null;
+    }
+
+    return {
+      code: polygon.code,
+      properties: polygon.properties,
+      distanceToBorder: distance
+        ? distanceToRings(
+            lat,
+            lng,
+            this.countries
+              .get(polygon.code)
+              .map(({ coordinates }) => coordinates)
+          )
+        : null,
+    };
+  }
+
+  // Batch version of countryAt() for `[{ lat, lng }]` or `[[lng, lat]]` input
+  countriesAt(points, options) {
+    return points.map((point) =>
+      Array.isArray(point)
+        ? this.countryAt(point[1], point[0], options)
+        : this.countryAt(point.lat, point.lng, options)
+    );
+  }
+}
+
+export { CountryLookup };
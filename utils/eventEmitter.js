@@ -0,0 +1,90 @@
+// Minimal typed event emitter used by World and the mesh utilities.
+// Only the event types passed to the constructor can be subscribed to or
+// emitted, so a typo in an event name fails loudly instead of silently.
+class EventEmitter {
+  constructor(eventTypes = []) {
+    this.eventTypes = new Set(eventTypes);
+    this.listeners = new Map();
+  }
+
+  assertType(type) {
+    if (!this.eventTypes.has(type)) {
+      throw new Error(
+        `Unknown event type "${type}". Expected one of: ${[
+          ...this.eventTypes,
+        ].join(", ")}`
+      );
+    }
+  }
+
+  // Subscribe to an event. Returns a function that removes the listener.
+  on(type, listener) {
+    this.assertType(type);
+    if (typeof listener !== "function") {
+      throw new TypeError("Event listener must be a function");
+    }
+
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+
+    return () => this.off(type, listener);
+  }
+
+  // Subscribe for the next event only. `off(type, listener)` removes it
+  // too, through the original listener.
+  once(type, listener) {
+    const wrapper = (detail) => {
+      this.off(type, wrapper);
+      listener(detail);
+    };
+    wrapper.listener = listener;
+    return this.on(type, wrapper);
+  }
+
+  off(type, listener) {
+    this.assertType(type);
+    const listeners = this.listeners.get(type);
+    if (!listeners) {
+      return;
+    }
+    for (const registered of listeners) {
+      if (registered === listener || registered.listener === listener) {
+        listeners.delete(registered);
+        break;
+      }
+    }
+  }
+
+  hasListeners(type) {
+    const listeners = this.listeners.get(type);
+    return Boolean(listeners && listeners.size > 0);
+  }
+
+  emit(type, detail = {}) {
+    this.assertType(type);
+    const event = { type, ...detail };
+
+    if (!this.hasListeners(type)) {
+      // Nobody is listening for errors: keep them visible in the console
+      if (type === "error") {
+        console.error(event.message, event.error || "");
+      }
+      return event;
+    }
+
+    // Copy so listeners can unsubscribe while being called. A listener that
+    // throws is reported without keeping the others from being called.
+    [...this.listeners.get(type)].forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Error in a "${type}" event listener`, error);
+      }
+    });
+    return event;
+  }
+}
+
+export { EventEmitter };
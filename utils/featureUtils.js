@@ -0,0 +1,208 @@
+// Arbitrary GeoJSON turned into objects on the globe: polygons become fills
+// with outlines, lines great-circle paths and points markers.
+//
+// Features are styled with the simplestyle-spec properties
+// (https://github.com/mapbox/simplestyle-spec), read from each feature's
+// `properties` first, then from the `style` option, then from
+// DEFAULT_FEATURE_STYLE:
+//
+//   fill, fill-opacity            polygon fill, no fill when the opacity is 0
+//   stroke, stroke-width,         outlines and lines, width in pixels, no
+//   stroke-opacity                line when the width is 0
+//   marker-color, marker-size     "small", "medium", "large" or world units
+import * as THREE from "three";
+import { latLngTo3DPosition } from "./geoUtils.js";
+import { createLineMaterials } from "./lineUtils.js";
+import {
+  createFillMaterial,
+  createPathLines,
+  createRingLines,
+  geoJsonTo3DMesh,
+  geometryParts,
+  lineStringPaths,
+  meshEvents,
+  polygonRings,
+} from "./meshUtils.js";
+
+const DEFAULT_RADIUS = 100;
+
+// Defaults of the simplestyle spec
+const DEFAULT_FEATURE_STYLE = {
+  fill: "#555555",
+  "fill-opacity": 0.6,
+  stroke: "#555555",
+  "stroke-width": 2,
+  "stroke-opacity": 1,
+  "marker-color": "#7e7e7e",
+  "marker-size": "medium",
+};
+
+// Marker radius in world units
+const MARKER_SIZES = { small: 0.5, medium: 0.8, large: 1.2 };
+
+// Features of a FeatureCollection, a Feature or a bare geometry
+function normalizeFeatures(geoJson) {
+  if (!geoJson) {
+    return [];
+  }
+  if (geoJson.type === "FeatureCollection") {
+    return geoJson.features || [];
+  }
+  if (geoJson.type === "Feature") {
+    return [geoJson];
+  }
+  return [{ type: "Feature", properties: {}, geometry: geoJson }];
+}
+
+// Style of a feature: its simplestyle properties over `style`, an object or
+// `(feature) => object`, over the defaults
+function featureStyle(feature, style = {}) {
+  const base = typeof style === "function" ? style(feature) : style;
+  const properties = feature.properties || {};
+  const own = {};
+  Object.keys(DEFAULT_FEATURE_STYLE).forEach((key) => {
+    if (properties[key] !== undefined) {
+      own[key] = properties[key];
+    }
+  });
+  return { ...DEFAULT_FEATURE_STYLE, ...base, ...own };
+}
+
+function markerRadius(size) {
+  return typeof size === "number"
+    ? size
+    : MARKER_SIZES[size] || MARKER_SIZES.medium;
+}
+
+function pointPositions(geometry) {
+  if (geometry.type === "Point") {
+    return [geometry.coordinates];
+  }
+  if (geometry.type === "MultiPoint") {
+    return geometry.coordinates;
+  }
+  return [];
+}
+
+// A group holding the objects of every feature, each tagged with
+// `userData.feature`. Features with the same style share their materials.
+async function geoJsonToObject3D(
+  geoJson,
+  { radius = DEFAULT_RADIUS, style = {} } = {}
+) {
+  const group = new THREE.Group();
+  group.name = "geojson";
+
+  const materials = new Map();
+  const shared = (key, create) => {
+    if (!materials.has(key)) {
+      materials.set(key, create());
+    }
+    return materials.get(key);
+  };
+  let markerGeometry = null; // Unit sphere shared by every marker
+
+  for (const feature of normalizeFeatures(geoJson)) {
+    const parts = geometryParts(feature.geometry);
+    if (parts.length === 0) {
+      meshEvents.emit("warning", {
+        message: "Feature does not have a valid geometry",
+        feature,
+      });
+      continue;
+    }
+
+    const {
+      fill,
+      "fill-opacity": fillOpacity,
+      stroke,
+      "stroke-width": strokeWidth,
+      "stroke-opacity": strokeOpacity,
+      "marker-color": markerColor,
+      "marker-size": markerSize,
+    } = featureStyle(feature, style);
+    const objects = [];
+
+    const polygons = parts.filter(
+      (geometry) =>
+        geometry.type === "Polygon" || geometry.type === "MultiPolygon"
+    );
+    if (polygons.length > 0 && fillOpacity > 0) {
+      const material = shared(`fill|${fill}|${fillOpacity}`, () =>
+        createFillMaterial({ color: fill, opacity: fillOpacity })
+      );
+      const meshes = await geoJsonTo3DMesh(
+        {
+          type: "FeatureCollection",
+          features: polygons.map((geometry) => ({
+            type: "Feature",
+            properties: {},
+            geometry,
+          })),
+        },
+        radius
+      );
+      meshes.forEach((mesh) => {
+        mesh.material.dispose();
+        mesh.material = material;
+        objects.push(mesh);
+      });
+    }
+
+    if (strokeWidth > 0) {
+      const material = shared(
+        `stroke|${stroke}|${strokeWidth}|${strokeOpacity}`,
+        () =>
+          createLineMaterials({
+            color: stroke,
+            width: strokeWidth,
+            opacity: strokeOpacity,
+          })
+      );
+      parts.flatMap(polygonRings).forEach((ring) => {
+        objects.push(...createRingLines(ring, radius, material));
+      });
+      parts.flatMap(lineStringPaths).forEach((path) => {
+        objects.push(...createPathLines(path, radius, material));
+      });
+    }
+
+    const size = markerRadius(markerSize);
+    parts.flatMap(pointPositions).forEach(([lng, lat]) => {
+      const material = shared(
+        `marker|${markerColor}`,
+        () => new THREE.MeshBasicMaterial({ color: markerColor })
+      );
+      markerGeometry = markerGeometry || new THREE.SphereGeometry(1, 16, 12);
+      const marker = new THREE.Mesh(markerGeometry, material);
+      marker.position.set(...latLngTo3DPosition(lat, lng, radius + size));
+      marker.scale.setScalar(size);
+      objects.push(marker);
+    });
+
+    objects.forEach((object) => {
+      object.userData.feature = feature;
+      group.add(object);
+    });
+  }
+
+  return group;
+}
+
+// Dispose the geometries and materials of an object built here, shared ones
+// included
+function disposeObject3D(object) {
+  const disposables = new Set();
+  object.traverse((child) => {
+    if (child.geometry) disposables.add(child.geometry);
+    if (child.material) disposables.add(child.material);
+  });
+  disposables.forEach((disposable) => disposable.dispose());
+}
+
+export {
+  DEFAULT_FEATURE_STYLE,
+  featureStyle,
+  geoJsonToObject3D,
+  disposeObject3D,
+};
@@ -1,3 +1,5 @@
+import { ringPole, unwrapRing } from "./antimeridian.js";
+
 // Calculate the centroid of a GeoJSON polygon
 export function calculatePolygonCentroid(geometry) {
 
@@ -14,22 +16,25 @@ export function calculatePolygonCentroid(geometry) {
         return { lat: 0, lng: 0 };
     }
 
-    let totalLat = 0;
-    let totalLng = 0;
-    let count = 0;
+    // Average the points in 3D so that polygons crossing the antimeridian or
+    // surrounding a pole get a center inside them
+    let x = 0;
+    let y = 0;
+    let z = 0;
 
     polygon.forEach((ring) => {
         ring.forEach(([lng, lat]) => {
-            totalLat += lat;
-            totalLng += lng;
-            count++;
+            const [px, py, pz] = latLngTo3DPosition(lat, lng, 1);
+            x += px;
+            y += py;
+            z += pz;
         });
     });
 
-    return {
-        lat: totalLat / count,
-        lng: totalLng / count
-    };
+    if (x * x + y * y + z * z < 1e-12) {
+        return { lat: polygon[0][0][1], lng: polygon[0][0][0] };
+    }
+    return positionToLatLng(x, y, z);
 }
 
 // Convert latitude and longitude to a 3D position on a sphere
@@ -43,3 +48,201 @@ export function latLngTo3DPosition(lat, lng, radius = 100) {
 
     return [x, y, z];
 }
+
+// Mean Earth radius in kilometers, used for great-circle distances
+export const EARTH_RADIUS_KM = 6371.0088;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in kilometers between two lat/lng points
+export function haversineDistance(lat1, lng1, lat2, lng2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) *
+            Math.cos(toRadians(lat2)) *
+            Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Initial bearing in radians from the first point to the second
+function bearing(lat1, lng1, lat2, lng2) {
+    const phi1 = toRadians(lat1);
+    const phi2 = toRadians(lat2);
+    const dLng = toRadians(lng2 - lng1);
+    return Math.atan2(
+        Math.sin(dLng) * Math.cos(phi2),
+        Math.cos(phi1) * Math.sin(phi2) -
+            Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLng)
+    );
+}
+
+// Distance in kilometers from a point to the great-circle segment between two
+// [lng, lat] positions
+export function distanceToSegment(lat, lng, [lng1, lat1], [lng2, lat2]) {
+    const d13 = haversineDistance(lat1, lng1, lat, lng) / EARTH_RADIUS_KM;
+    const d12 = haversineDistance(lat1, lng1, lat2, lng2) / EARTH_RADIUS_KM;
+    if (d12 === 0) {
+        return d13 * EARTH_RADIUS_KM;
+    }
+
+    const delta = bearing(lat1, lng1, lat, lng) - bearing(lat1, lng1, lat2, lng2);
+
+    // The closest point is the segment start when the point lies behind it
+    if (Math.cos(delta) < 0) {
+        return d13 * EARTH_RADIUS_KM;
+    }
+
+    const crossTrack = Math.asin(Math.sin(d13) * Math.sin(delta));
+    const alongTrack = Math.acos(
+        Math.min(1, Math.max(-1, Math.cos(d13) / Math.cos(crossTrack)))
+    );
+
+    if (alongTrack > d12) {
+        return haversineDistance(lat2, lng2, lat, lng);
+    }
+    return Math.abs(crossTrack) * EARTH_RADIUS_KM;
+}
+
+// Ray-casting test of a point against a ring of [lng, lat] positions. The
+// ring is unwrapped into one continuous longitude range first, so rings
+// crossing the antimeridian work, and a ring winding around a pole is closed
+// through that pole. The point's longitude is shifted into the same range.
+export function pointInRing(lat, lng, ring) {
+    if (ring.length === 0) {
+        return false;
+    }
+    const points = unwrapRing(ring);
+    const pole = ringPole(points);
+    if (pole !== 0) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        points.push([last[0], pole * 90], [first[0], pole * 90]);
+    }
+
+    const west = points.reduce(
+        (min, [pointLng]) => Math.min(min, pointLng),
+        Infinity
+    );
+    const x = west + ((((lng - west) % 360) + 360) % 360);
+
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [lngI, latI] = points[i];
+        const [lngJ, latJ] = points[j];
+        if (
+            latI > lat !== latJ > lat &&
+            x < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI
+        ) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Point-in-polygon test for GeoJSON Polygon coordinates (outer ring + holes)
+export function pointInPolygon(lat, lng, polygon) {
+    if (!polygon.length || !pointInRing(lat, lng, polygon[0])) {
+        return false;
+    }
+    return !polygon.slice(1).some((hole) => pointInRing(lat, lng, hole));
+}
+
+// Convert a 3D position (in the earth's local frame) back to latitude and
+// longitude, the inverse of latLngTo3DPosition
+export function positionToLatLng(x, y, z) {
+    const length = Math.sqrt(x * x + y * y + z * z);
+    const lat = (Math.asin(y / length) * 180) / Math.PI;
+    const lng = (Math.atan2(-z, x) * 180) / Math.PI;
+    return { lat, lng };
+}
+
+// Every [lng, lat] position of a GeoJSON object (FeatureCollection, Feature,
+// geometry or GeometryCollection)
+export function collectPositions(geoJson, positions = []) {
+    if (!geoJson) {
+        return positions;
+    }
+
+    switch (geoJson.type) {
+        case "FeatureCollection":
+            geoJson.features.forEach((feature) => collectPositions(feature, positions));
+            break;
+        case "Feature":
+            collectPositions(geoJson.geometry, positions);
+            break;
+        case "GeometryCollection":
+            geoJson.geometries.forEach((geometry) => collectPositions(geometry, positions));
+            break;
+        case "Point":
+            positions.push(geoJson.coordinates);
+            break;
+        case "MultiPoint":
+        case "LineString":
+            positions.push(...geoJson.coordinates);
+            break;
+        case "MultiLineString":
+        case "Polygon":
+            geoJson.coordinates.forEach((line) => positions.push(...line));
+            break;
+        case "MultiPolygon":
+            geoJson.coordinates.forEach((polygon) =>
+                polygon.forEach((ring) => positions.push(...ring))
+            );
+            break;
+        default:
+            // Tolerate collections and features without a `type`
+            if (Array.isArray(geoJson.features)) {
+                geoJson.features.forEach((feature) => collectPositions(feature, positions));
+            } else if (geoJson.geometry) {
+                collectPositions(geoJson.geometry, positions);
+            }
+    }
+    return positions;
+}
+
+// Lat/lng extent of a set of [lng, lat] positions. The longitude range is the
+// smallest one containing every position, so extents crossing the
+// antimeridian are found too (west > east in that case).
+export function sphericalExtent(positions) {
+    if (positions.length === 0) {
+        return null;
+    }
+
+    const lngs = positions
+        .map(([lng]) => ((((lng + 180) % 360) + 360) % 360) - 180)
+        .sort((a, b) => a - b);
+
+    // The largest gap between consecutive longitudes is outside the extent
+    let gap = lngs[0] + 360 - lngs[lngs.length - 1];
+    let west = lngs[0];
+    let east = lngs[lngs.length - 1];
+    for (let i = 1; i < lngs.length; i++) {
+        if (lngs[i] - lngs[i - 1] > gap) {
+            gap = lngs[i] - lngs[i - 1];
+            west = lngs[i];
+            east = lngs[i - 1];
+        }
+    }
+
+    let south = Infinity;
+    let north = -Infinity;
+    positions.forEach(([, lat]) => {
+        south = Math.min(south, lat);
+        north = Math.max(north, lat);
+    });
+    const span = west <= east ? east - west : east + 360 - west;
+    const centerLng = west + span / 2;
+
+    return {
+        west,
+        south,
+        east,
+        north,
+        center: {
+            lat: (south + north) / 2,
+            lng: centerLng > 180 ? centerLng - 360 : centerLng,
+        },
+    };
+}
@@ -0,0 +1,470 @@
+// Parsers turning GPX, KML and CSV files into GeoJSON FeatureCollections, the
+// format the mesh, line and marker builders consume (see
+// utils/featureUtils.js).
+//
+//   parseGpx(xml)     waypoints as Points, routes as LineStrings and tracks
+//                     as MultiLineStrings, elevations kept as a third
+//                     coordinate and point times in `properties.times`
+//   parseKml(xml)     Placemarks with Point, LineString, LinearRing, Polygon
+//                     and MultiGeometry geometries. Their styles (shared,
+//                     inline or through StyleMaps) become simplestyle
+//                     properties; ExtendedData becomes properties.
+//   parseCsv(text)    one Point per row, other columns as properties
+//
+// XML parsers accept a string or an already parsed Document. Strings are
+// parsed with DOMParser, so outside browsers pass a Document from an XML
+// library instead.
+
+const CSV_LAT_COLUMNS = ["lat", "latitude", "y"];
+const CSV_LNG_COLUMNS = ["lng", "lon", "long", "longitude", "x"];
+const CSV_DELIMITERS = [",", ";", "\t"];
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+function parseXml(input) {
+  if (typeof input !== "string") {
+    return input;
+  }
+  if (typeof DOMParser === "undefined") {
+    throw new Error("DOMParser is unavailable, pass a parsed XML Document");
+  }
+  const document = new DOMParser().parseFromString(input, "application/xml");
+  if (document.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("Invalid XML");
+  }
+  return document;
+}
+
+// Child elements by local name, ignoring namespace prefixes such as "gpx:"
+function children(element, name) {
+  return Array.from(element.childNodes || []).filter(
+    (node) => node.nodeType === 1 && (node.localName || node.nodeName) === name
+  );
+}
+
+function descendants(element, name) {
+  return Array.from(element.getElementsByTagName(name));
+}
+
+function childText(element, name) {
+  const [child] = children(element, name);
+  return child ? child.textContent.trim() : undefined;
+}
+
+function feature(geometry, properties) {
+  return { type: "Feature", properties, geometry };
+}
+
+// Properties from the listed child elements that are present
+function textProperties(element, names) {
+  const properties = {};
+  names.forEach((name) => {
+    const value = childText(element, name);
+    if (value !== undefined) {
+      properties[name] = value;
+    }
+  });
+  return properties;
+}
+
+// GPX
+
+// A coordinate attribute, NaN when missing or blank
+function gpxCoordinate(element, name) {
+  const value = element.getAttribute(name);
+  return value === null || value.trim() === "" ? NaN : Number(value);
+}
+
+// `[lng, lat, ele?]` and the time of a wpt, rtept or trkpt element, null
+// when its coordinates are missing or invalid
+function gpxPoint(element) {
+  const lng = gpxCoordinate(element, "lon");
+  const lat = gpxCoordinate(element, "lat");
+  if (!(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+    return null;
+  }
+  const position = [lng, lat];
+  const elevation = childText(element, "ele");
+  if (elevation !== undefined) {
+    position.push(Number(elevation));
+  }
+  return { position, time: childText(element, "time") };
+}
+
+function gpxLine(points) {
+  const parsed = points.map(gpxPoint).filter(Boolean);
+  return {
+    coordinates: parsed.map(({ position }) => position),
+    times: parsed.map(({ time }) => time || null),
+  };
+}
+
+function parseGpx(input) {
+  const document = parseXml(input);
+  const features = [];
+  const names = ["name", "desc", "cmt", "type", "sym"];
+
+  descendants(document, "wpt").forEach((waypoint) => {
+    const point = gpxPoint(waypoint);
+    if (!point) {
+      return;
+    }
+    const { position, time } = point;
+    const properties = { ...textProperties(waypoint, names), kind: "waypoint" };
+    if (time) {
+      properties.time = time;
+    }
+    features.push(
+      feature({ type: "Point", coordinates: position }, properties)
+    );
+  });
+
+  descendants(document, "rte").forEach((route) => {
+    const { coordinates, times } = gpxLine(children(route, "rtept"));
+    if (coordinates.length < 2) {
+      return;
+    }
+    features.push(
+      feature(
+        { type: "LineString", coordinates },
+        { ...textProperties(route, names), kind: "route", times }
+      )
+    );
+  });
+
+  descendants(document, "trk").forEach((track) => {
+    const segments = children(track, "trkseg")
+      .map((segment) => gpxLine(children(segment, "trkpt")))
+      .filter(({ coordinates }) => coordinates.length >= 2);
+    if (segments.length === 0) {
+      return;
+    }
+    features.push(
+      feature(
+        {
+          type: "MultiLineString",
+          coordinates: segments.map(({ coordinates }) => coordinates),
+        },
+        {
+          ...textProperties(track, names),
+          kind: "track",
+          times: segments.map(({ times }) => times),
+        }
+      )
+    );
+  });
+
+  return { type: "FeatureCollection", features };
+}
+
+// KML
+
+// "lng,lat[,alt] lng,lat[,alt] ..." into positions
+function kmlCoordinates(element) {
+  const text = childText(element, "coordinates") || "";
+  return text
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((tuple) => tuple.split(",").map(Number))
+    .filter((position) => position.length >= 2 && position.every(isFinite));
+}
+
+function kmlRing(element) {
+  const [ring] = children(element, "LinearRing");
+  return ring ? kmlCoordinates(ring) : [];
+}
+
+function kmlGeometry(element) {
+  switch (element.localName || element.nodeName) {
+    case "Point": {
+      const [position] = kmlCoordinates(element);
+      return position ? { type: "Point", coordinates: position } : null;
+    }
+    case "LineString":
+    case "LinearRing": {
+      const coordinates = kmlCoordinates(element);
+      return coordinates.length >= 2
+        ? { type: "LineString", coordinates }
+        : null;
+    }
+    case "Polygon": {
+      const outer = children(element, "outerBoundaryIs").map(kmlRing);
+      const inner = children(element, "innerBoundaryIs").map(kmlRing);
+      const rings = [...outer, ...inner].filter((ring) => ring.length >= 4);
+      return outer.length > 0 && outer[0].length >= 4
+        ? { type: "Polygon", coordinates: rings }
+        : null;
+    }
+    case "MultiGeometry": {
+      const geometries = Array.from(element.childNodes)
+        .filter((node) => node.nodeType === 1)
+        .map(kmlGeometry)
+        .filter(Boolean);
+      return geometries.length > 0
+        ? { type: "GeometryCollection", geometries }
+        : null;
+    }
+    default:
+      return null;
+  }
+}
+
+const KML_GEOMETRIES = [
+  "Point",
+  "LineString",
+  "LinearRing",
+  "Polygon",
+  "MultiGeometry",
+];
+
+// KML colors are aabbggrr
+function kmlColor(text) {
+  const hex = (text || "").trim().replace(/^#/, "");
+  if (!/^[0-9a-f]{8}$/i.test(hex)) {
+    return null;
+  }
+  return {
+    color: `#${hex.slice(6, 8)}${hex.slice(4, 6)}${hex.slice(2, 4)}`,
+    opacity: parseInt(hex.slice(0, 2), 16) / 255,
+  };
+}
+
+// A <Style> element as simplestyle properties
+function kmlStyle(style) {
+  const properties = {};
+  const [line] = children(style, "LineStyle");
+  const [poly] = children(style, "PolyStyle");
+  const [icon] = children(style, "IconStyle");
+
+  if (line) {
+    const color = kmlColor(childText(line, "color"));
+    if (color) {
+      properties.stroke = color.color;
+      properties["stroke-opacity"] = color.opacity;
+    }
+    const width = childText(line, "width");
+    if (width !== undefined) {
+      properties["stroke-width"] = Number(width);
+    }
+  }
+  if (poly) {
+    const color = kmlColor(childText(poly, "color"));
+    if (color) {
+      properties.fill = color.color;
+      properties["fill-opacity"] = color.opacity;
+    }
+    if (childText(poly, "fill") === "0") {
+      properties["fill-opacity"] = 0;
+    }
+    if (childText(poly, "outline") === "0") {
+      properties["stroke-width"] = 0;
+    }
+  }
+  if (icon) {
+    const color = kmlColor(childText(icon, "color"));
+    if (color) {
+      properties["marker-color"] = color.color;
+    }
+    const scale = Number(childText(icon, "scale") || 1);
+    properties["marker-size"] =
+      scale < 0.8 ? "small" : scale > 1.2 ? "large" : "medium";
+  }
+  return properties;
+}
+
+// Styles by "#id", StyleMaps resolved to their "normal" style
+function kmlStyles(document) {
+  const styles = {};
+  descendants(document, "Style").forEach((style) => {
+    const id = style.getAttribute("id");
+    if (id) {
+      styles[`#${id}`] = kmlStyle(style);
+    }
+  });
+  descendants(document, "StyleMap").forEach((styleMap) => {
+    const id = styleMap.getAttribute("id");
+    const normal = children(styleMap, "Pair").find(
+      (pair) => childText(pair, "key") === "normal"
+    );
+    const url = normal && childText(normal, "styleUrl");
+    if (id && url && styles[url]) {
+      styles[`#${id}`] = styles[url];
+    }
+  });
+  return styles;
+}
+
+function kmlExtendedData(placemark) {
+  const properties = {};
+  children(placemark, "ExtendedData").forEach((extendedData) => {
+    descendants(extendedData, "Data").forEach((data) => {
+      properties[data.getAttribute("name")] = childText(data, "value");
+    });
+    descendants(extendedData, "SimpleData").forEach((data) => {
+      properties[data.getAttribute("name")] = data.textContent.trim();
+    });
+  });
+  return properties;
+}
+
+function parseKml(input) {
+  const document = parseXml(input);
+  const styles = kmlStyles(document);
+  const features = [];
+
+  descendants(document, "Placemark").forEach((placemark) => {
+    const [geometryElement] = Array.from(placemark.childNodes).filter(
+      (node) =>
+        node.nodeType === 1 &&
+        KML_GEOMETRIES.includes(node.localName || node.nodeName)
+    );
+    const geometry = geometryElement && kmlGeometry(geometryElement);
+    if (!geometry) {
+      return;
+    }
+
+    // Inline styles win over shared ones
+    const styleUrl = childText(placemark, "styleUrl");
+    const [inlineStyle] = children(placemark, "Style");
+    features.push(
+      feature(geometry, {
+        ...kmlExtendedData(placemark),
+        ...textProperties(placemark, ["name", "description"]),
+        ...(styleUrl && styles[styleUrl]),
+        ...(inlineStyle && kmlStyle(inlineStyle)),
+      })
+    );
+  });
+
+  return { type: "FeatureCollection", features };
+}
+
+// CSV
+
+// Rows of fields, following RFC 4180 quoting ("a ""quoted"" field")
+function csvRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+// The delimiter splitting the header line into the most columns
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  return CSV_DELIMITERS.reduce((best, delimiter) =>
+    header.split(delimiter).length > header.split(best).length
+      ? delimiter
+      : best
+  );
+}
+
+function findColumn(header, column, candidates) {
+  const names = header.map((name) => name.trim().toLowerCase());
+  return column
+    ? names.indexOf(column.toLowerCase())
+    : names.findIndex((name) => candidates.includes(name));
+}
+
+// A number from a CSV field, NaN for blank or non-numeric fields
+function csvNumber(value) {
+  const text = (value || "").trim();
+  return NUMBER.test(text) ? Number(text) : NaN;
+}
+
+// Points from CSV rows. `latColumn` and `lngColumn` name the coordinate
+// columns (by default the first of lat/latitude/y and lng/lon/long/
+// longitude/x). Other columns stay strings, so codes like "01234" survive,
+// unless `numbers` is true (every numeric value becomes a number) or lists
+// the columns to convert. Rows without valid coordinates are skipped and
+// counted in `skipped`.
+function parseCsv(
+  text,
+  { latColumn, lngColumn, delimiter, numbers = false } = {}
+) {
+  const rows = csvRows(
+    text.replace(/^\uFEFF/, ""),
+    delimiter || detectDelimiter(text)
+  );
+  if (rows.length === 0) {
+    return { type: "FeatureCollection", features: [], skipped: 0 };
+  }
+
+  const [header, ...records] = rows;
+  const latIndex = findColumn(header, latColumn, CSV_LAT_COLUMNS);
+  const lngIndex = findColumn(header, lngColumn, CSV_LNG_COLUMNS);
+  if (latIndex === -1 || lngIndex === -1) {
+    throw new Error(
+      `CSV has no ${latIndex === -1 ? "latitude" : "longitude"} column ` +
+        `(columns: ${header.join(", ")})`
+    );
+  }
+
+  const numericColumns = header.map(
+    (name) =>
+      numbers === true ||
+      (Array.isArray(numbers) &&
+        numbers.some(
+          (column) => column.toLowerCase() === name.trim().toLowerCase()
+        ))
+  );
+
+  const features = [];
+  let skipped = 0;
+  records.forEach((record) => {
+    const lat = csvNumber(record[latIndex]);
+    const lng = csvNumber(record[lngIndex]);
+    if (!(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+      skipped++;
+      return;
+    }
+
+    const properties = {};
+    header.forEach((name, index) => {
+      if (index === latIndex || index === lngIndex) {
+        return;
+      }
+      const value = (record[index] || "").trim();
+      const number = numericColumns[index] ? csvNumber(value) : NaN;
+      properties[name.trim()] = Number.isNaN(number) ? value : number;
+    });
+    features.push(
+      feature({ type: "Point", coordinates: [lng, lat] }, properties)
+    );
+  });
+
+  return { type: "FeatureCollection", features, skipped };
+}
+
+export { parseGpx, parseKml, parseCsv };
@@ -0,0 +1,113 @@
+// Screen-space lines with widths in pixels, dashes and glow.
+//
+// WebGL ignores `linewidth` on most platforms, so LineBasicMaterial lines are
+// always 1px wide and nearly invisible on high-DPI screens. These lines are
+// drawn as camera-facing quads (three's Line2) instead. A line style is:
+//
+//   color      line color
+//   width      in CSS pixels
+//   opacity    0 to 1
+//   dashed     draw dashes, `dashSize` and `gapSize` long in world units
+//   glow       width in pixels of a soft halo drawn under the line, 0 for none
+//   glowColor  halo color, the line color by default
+//   glowOpacity
+//   depthTest  hide the parts of the line behind the globe (default), false
+//              draws the whole line on top of everything
+import * as THREE from "three";
+import { Line2 } from "three/examples/jsm/lines/Line2.js";
+import { LineGeometry } from "three/examples/jsm/lines/LineGeometry.js";
+import { LineMaterial } from "three/examples/jsm/lines/LineMaterial.js";
+
+const DEFAULT_LINE_STYLE = {
+  color: "red",
+  width: 2,
+  opacity: 1,
+  dashed: false,
+  dashSize: 1,
+  gapSize: 0.5,
+  glow: 0,
+  glowColor: null,
+  glowOpacity: 0.35,
+  depthTest: true,
+};
+
+// Drawn after the globe and the fills so lines on top of them are not hidden
+const LINE_RENDER_ORDER = 1;
+
+// Materials for a line style, `{ line, glow }` with glow null when disabled
+function createLineMaterials(style = {}) {
+  const {
+    color,
+    width,
+    opacity,
+    dashed,
+    dashSize,
+    gapSize,
+    glow,
+    glowColor,
+    glowOpacity,
+    depthTest,
+  } = { ...DEFAULT_LINE_STYLE, ...style };
+
+  const line = new LineMaterial({
+    color: new THREE.Color(color).getHex(),
+    linewidth: width,
+    opacity,
+    transparent: opacity < 1,
+    depthWrite: opacity >= 1 && depthTest,
+    depthTest,
+    dashed,
+    dashSize,
+    gapSize,
+  });
+
+  const halo =
+    glow > 0
+      ? new LineMaterial({
+          color: new THREE.Color(glowColor || color).getHex(),
+          linewidth: width + glow * 2,
+          opacity: glowOpacity * opacity,
+          transparent: true,
+          depthWrite: false,
+          depthTest,
+          blending: THREE.AdditiveBlending,
+        })
+      : null;
+
+  return { line, glow: halo };
+}
+
+// LineMaterial needs the viewport size to turn pixel widths into clip space;
+// read it from the renderer drawing the line so resizes need no bookkeeping
+function trackResolution(line) {
+  line.onBeforeRender = (renderer) => {
+    renderer.getSize(line.material.resolution);
+  };
+}
+
+// Screen-space lines through flat `[x, y, z, ...]` positions, closed back to
+// the first point when `closed`. Returns the glow line (if any) first, then
+// the line, so the line draws on top of its halo.
+function createScreenLines(positions, closed, materials) {
+  const points = closed ? [...positions, ...positions.slice(0, 3)] : positions;
+  const geometry = new LineGeometry();
+  geometry.setPositions(points);
+
+  const lines = [];
+  if (materials.glow) {
+    const halo = new Line2(geometry, materials.glow);
+    halo.renderOrder = LINE_RENDER_ORDER;
+    trackResolution(halo);
+    lines.push(halo);
+  }
+
+  const line = new Line2(geometry, materials.line);
+  line.renderOrder = LINE_RENDER_ORDER + 1;
+  line.computeLineDistances(); // Needed for dashes
+  trackResolution(line);
+  lines.push(line);
+
+  return lines;
+}
+
+export { DEFAULT_LINE_STYLE, createLineMaterials, createScreenLines };
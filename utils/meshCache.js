@@ -0,0 +1,287 @@
+// Persistent cache for country mesh data, stored in IndexedDB and kept in
+// memory when IndexedDB is unavailable (private browsing, Node).
+//
+// Entries are keyed by `{ code, lod, radius, format, hash }`, where `hash`
+// identifies the source data (a manifest checksum or a hash of the GeoJSON),
+// so changed data never hits a stale entry. The whole cache is dropped when
+// `version` (the asset manifest version) changes. Once the total size of the
+// entries exceeds `quota` bytes, the least recently used ones are evicted.
+import { openDB } from "idb";
+
+const DEFAULT_NAME = "three-earth-meshes";
+const DEFAULT_QUOTA = 50 * 1024 * 1024; // bytes
+const DB_VERSION = 1;
+
+// 32-bit FNV-1a hash, enough to tell two versions of a file apart
+function hashString(string) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < string.length; i++) {
+    hash ^= string.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+class MemoryStore {
+  constructor() {
+    this.values = new Map();
+    this.records = new Map();
+    this.info = new Map();
+  }
+
+  async getValue(key) {
+    return this.values.get(key);
+  }
+
+  async put(record, value) {
+    this.records.set(record.key, record);
+    this.values.set(record.key, value);
+  }
+
+  async touch(record) {
+    this.records.set(record.key, record);
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+    this.values.delete(key);
+  }
+
+  async getRecords() {
+    return [...this.records.values()];
+  }
+
+  async clear() {
+    this.records.clear();
+    this.values.clear();
+  }
+
+  async getInfo(name) {
+    return this.info.get(name);
+  }
+
+  async setInfo(name, value) {
+    this.info.set(name, value);
+  }
+}
+
+// Values and their `{ key, size, lastAccess }` records live in separate
+// stores so the records can be read at startup without loading any mesh
+class IDBStore {
+  static async open(name) {
+    const db = await openDB(name, DB_VERSION, {
+      upgrade(db) {
+        db.createObjectStore("values");
+        db.createObjectStore("records", { keyPath: "key" });
+        db.createObjectStore("info");
+      },
+    });
+    return new IDBStore(db);
+  }
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  getValue(key) {
+    return this.db.get("values", key);
+  }
+
+  async put(record, value) {
+    const tx = this.db.transaction(["values", "records"], "readwrite");
+    tx.objectStore("values").put(value, record.key);
+    tx.objectStore("records").put(record);
+    await tx.done;
+  }
+
+  touch(record) {
+    return this.db.put("records", record);
+  }
+
+  async delete(key) {
+    const tx = this.db.transaction(["values", "records"], "readwrite");
+    tx.objectStore("values").delete(key);
+    tx.objectStore("records").delete(key);
+    await tx.done;
+  }
+
+  getRecords() {
+    return this.db.getAll("records");
+  }
+
+  async clear() {
+    const tx = this.db.transaction(["values", "records"], "readwrite");
+    tx.objectStore("values").clear();
+    tx.objectStore("records").clear();
+    await tx.done;
+  }
+
+  getInfo(name) {
+    return this.db.get("info", name);
+  }
+
+  setInfo(name, value) {
+    return this.db.put("info", value, name);
+  }
+}
+
+class MeshCache {
+  // `persistent: false` keeps the cache in memory even if IndexedDB exists
+  constructor({
+    name = DEFAULT_NAME,
+    version = "1",
+    quota = DEFAULT_QUOTA,
+    persistent = true,
+  } = {}) {
+    this.name = name;
+    this.version = String(version);
+    this.quota = quota;
+    this.records = new Map(); // key -> { key, size, lastAccess }
+    this.size = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.failures = 0; // Storage operations that threw
+    this.ready = this.open(persistent);
+  }
+
+  static key({ code, lod = "", radius, format = "", hash = "" }) {
+    return [code, lod, radius, format, hash].join("|");
+  }
+
+  async open(persistent) {
+    this.store = null;
+    if (persistent && typeof indexedDB !== "undefined") {
+      try {
+        this.store = await IDBStore.open(this.name);
+      } catch (error) {
+        this.failures++;
+      }
+    }
+    this.storage = this.store ? "indexeddb" : "memory";
+    this.store = this.store || new MemoryStore();
+
+    try {
+      if ((await this.store.getInfo("version")) !== this.version) {
+        await this.store.clear();
+        await this.store.setInfo("version", this.version);
+      }
+      (await this.store.getRecords()).forEach((record) => {
+        this.records.set(record.key, record);
+        this.size += record.size;
+      });
+    } catch (error) {
+      // Unreadable database, e.g. blocked by the browser: start from scratch
+      this.failures++;
+      this.storage = "memory";
+      this.store = new MemoryStore();
+    }
+  }
+
+  // Resolves to the cached value, or undefined on a miss
+  async get(parts) {
+    await this.ready;
+    const key = MeshCache.key(parts);
+    const record = this.records.get(key);
+
+    let value;
+    if (record) {
+      try {
+        value = await this.store.getValue(key);
+      } catch (error) {
+        this.failures++;
+      }
+    }
+    if (value === undefined) {
+      if (record) {
+        this.forget(record);
+      }
+      this.misses++;
+      return undefined;
+    }
+
+    this.hits++;
+    record.lastAccess = Date.now();
+    this.store.touch(record).catch(() => this.failures++);
+    return value;
+  }
+
+  // Store a value of `size` bytes, evicting the least recently used entries
+  // to stay under the quota. Resolves to false when the value was not stored.
+  async set(parts, value, size) {
+    await this.ready;
+    if (size > this.quota) {
+      return false;
+    }
+
+    const key = MeshCache.key(parts);
+    if (this.records.has(key)) {
+      await this.delete(parts);
+    }
+    await this.evict(this.quota - size);
+
+    const record = { key, size, lastAccess: Date.now() };
+    try {
+      await this.store.put(record, value);
+    } catch (error) {
+      this.failures++;
+      return false;
+    }
+    this.records.set(key, record);
+    this.size += size;
+    return true;
+  }
+
+  async delete(parts) {
+    await this.ready;
+    const record = this.records.get(MeshCache.key(parts));
+    if (record) {
+      this.forget(record);
+      await this.store.delete(record.key).catch(() => this.failures++);
+    }
+  }
+
+  forget(record) {
+    this.records.delete(record.key);
+    this.size -= record.size;
+  }
+
+  // Drop least recently used entries until the cache holds at most `maxSize`
+  async evict(maxSize) {
+    const oldestFirst = [...this.records.values()].sort(
+      (a, b) => a.lastAccess - b.lastAccess
+    );
+    for (const record of oldestFirst) {
+      if (this.size <= maxSize) {
+        break;
+      }
+      this.forget(record);
+      this.evictions++;
+      await this.store.delete(record.key).catch(() => this.failures++);
+    }
+  }
+
+  async clear() {
+    await this.ready;
+    this.records.clear();
+    this.size = 0;
+    await this.store.clear().catch(() => this.failures++);
+  }
+
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      storage: this.storage,
+      entries: this.records.size,
+      size: this.size,
+      quota: this.quota,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups === 0 ? 0 : this.hits / lookups,
+      evictions: this.evictions,
+      failures: this.failures,
+    };
+  }
+}
+
+export { MeshCache, hashString };
@@ -1,15 +1,42 @@
 import * as THREE from "three";
-import { mergeGeometries } from "three/addons/utils/BufferGeometryUtils.js";
-import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter";
+import {
+  mergeGeometries,
+  mergeVertices,
+} from "three/addons/utils/BufferGeometryUtils.js";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 import * as turf from "@turf/turf";
 import earcut from "earcut";
-import { openDB } from "idb";
-import { latLngTo3DPosition } from "./geoUtils.js";
+import {
+  calculatePolygonCentroid,
+  latLngTo3DPosition,
+  positionToLatLng,
+} from "./geoUtils.js";
+import {
+  crossesAntimeridian,
+  edgePositions,
+  greatCirclePositions,
+  isCutEdge,
+  lngLatMidpoint,
+  polarProjection,
+  ringOutlinePaths,
+  unwrapPolygon,
+} from "./antimeridian.js";
+import { EventEmitter } from "./eventEmitter.js";
+import { createLineMaterials, createScreenLines } from "./lineUtils.js";
 
 // Constants for default values
 const DEFAULT_RADIUS = 100;
 const DEFAULT_COLOR = "red";
+const LARGE_POLYGON_AREA = 200000; // km², tessellated on the sphere by default
+const DEFAULT_MAX_EDGE_DEGREES = 1; // Longest triangle edge on the sphere
+const DEFAULT_EXTRUSION_HEIGHT = 5;
+// Wall vertex color, darker than the top so prisms read as 3D even with
+// unlit materials
+const WALL_SHADE = 0.7;
+
+// Diagnostics from the mesh pipeline, forwarded by World to its own listeners
+const meshEvents = new EventEmitter(["error", "warning", "debug"]);
 
 // var polygonCache = {};
 
@@ -38,101 +65,21 @@ const DEFAULT_COLOR = "red";
 //   );
 // }
 
-async function openDatabase() {
-  return openDB("meshData", 1, {
-    upgrade(db) {
-      if (!db.objectStoreNames.contains("meshData")) {
-        db.createObjectStore("meshData", { keyPath: "key" });
-      }
-    },
-  });
-}
-
-function serializeMesh(mesh) {
-  if (!mesh.geometry || !mesh.material) {
-    throw new Error("Mesh geometry or material is undefined");
-  }
-
-  return {
-    geometry: mesh.geometry.toJSON(),
-    material: mesh.material.toJSON(),
-    position: mesh.position.toArray(),
-    rotation: mesh.rotation.toArray(),
-    scale: mesh.scale.toArray(),
-  };
-}
-
-function deserializeMesh(data) {
-  const geometryLoader = new THREE.BufferGeometryLoader();
-  const materialLoader = new THREE.MaterialLoader();
-
-  const mesh = new THREE.Mesh(
-    geometryLoader.parse(data.geometry),
-    materialLoader.parse(data.material)
-  );
-
-  mesh.position.fromArray(data.position);
-  mesh.rotation.fromArray(data.rotation);
-  mesh.scale.fromArray(data.scale);
-
-  return mesh;
-}
-
-async function saveMeshData(key, meshes) {
-  const db = await openDatabase();
-  const tx = db.transaction("meshData", "readwrite");
-  const store = tx.objectStore("meshData");
-  const serializedMeshes = meshes.map((mesh) => serializeMesh(mesh)); // Ensure this handles an array
-  await store.put({ key, value: serializedMeshes });
-  await tx.complete;
-  console.log("Saved meshes to database for:", key);
-}
-
-async function loadMeshData(key) {
-  console.log("Load... mesh data for:", key);
-  const db = await openDatabase();
-  const tx = db.transaction("meshData", "readonly");
-  const store = tx.objectStore("meshData");
-  const result = await store.get(key);
-
-  if (result && Array.isArray(result.value)) {
-    const meshes = result.value.map((serializedMesh) =>
-      deserializeMesh(serializedMesh)
-    );
-    console.log(`${new Date().toISOString()}: Meshes loaded for ${key}`);
-
-    return meshes;
-  } else {
-    console.error(
-      "Mesh data for ",
-      key,
-      "is not properly formatted or is missing."
-    );
-    return null;
-  }
-}
-
 function combineMeshes(meshes) {
   // Filter out any meshes that don't have geometry or are without material (assuming lines might not always have materials)
   const filteredMeshes = meshes.filter((mesh) => mesh.geometry);
 
-  // Determine if these are line meshes by checking if any use a LineMaterial
+  // Determine if these are lines, 1px (Line, LineLoop) or screen-space (Line2)
   const areLines = filteredMeshes.some(
-    (mesh) => mesh.material instanceof THREE.LineBasicMaterial
+    (mesh) => mesh.isLine || mesh.isLineSegments2
   );
 
   // Combine geometries based on their type
   if (areLines) {
-    // Combine line geometries
-    const materials = filteredMeshes.map((mesh) => mesh.material);
-    const geometries = filteredMeshes.map((mesh) => mesh.geometry);
-
-    // Since lines might not need to be merged in the same way, you might consider just grouping them
+    // Lines are grouped rather than merged, which keeps open lines open
+    // (e.g. outlines cut at the antimeridian) and glows under their lines
     const lineGroup = new THREE.Group();
-    geometries.forEach((geometry, index) => {
-      const lineMesh = new THREE.LineLoop(geometry, materials[index]);
-      lineGroup.add(lineMesh);
-    });
+    filteredMeshes.forEach((line) => lineGroup.add(line));
     return lineGroup;
   } else {
     // Combine solid geometries as before
@@ -152,7 +99,7 @@ function combineMeshes(meshes) {
 
 async function exportMeshToGLB(mesh) {
   if (!GLTFExporter) {
-    console.error("GLTFExporter is not available");
+    meshEvents.emit("error", { message: "GLTFExporter is not available" });
     return;
   }
   const exporter = new GLTFExporter();
@@ -174,114 +121,36 @@ async function exportMeshToGLB(mesh) {
           }
           resolve(blob);
         } catch (error) {
-          console.error("Export failed:", error);
+          meshEvents.emit("error", { message: "Export failed", error });
           reject(error);
         }
       },
+      (error) => {
+        meshEvents.emit("error", { message: "Export failed", error });
+        reject(error);
+      },
       { binary: true }
     );
   });
 }
 
-async function saveMeshDataAsBinary(key, blob) {
-  const db = await openDatabase();
-  const tx = db.transaction("meshData", "readwrite");
-  const store = tx.objectStore("meshData");
-
-  tx.onerror = (event) => {
-    console.error("Failed to save blob:", event.target.error);
-  };
-
-  // Store the blob in IndexedDB
-  await store.put({ key, value: blob });
-  await tx.complete;
-}
-
-async function deserializeGLB(blob) {
-  const loader = new GLTFLoader();
-  return new Promise((resolve, reject) => {
-    if (!blob) {
-      reject("No blob provided for deserialization");
-      return;
-    }
-
-    const reader = new FileReader();
-    reader.readAsArrayBuffer(blob);
-    reader.onload = () => {
-      loader.parse(
-        reader.result,
-        "",
-        (gltf) => {
-          // console.log("GLB data deserialized successfully");
-          const meshes = [];
-          gltf.scene.traverse((child) => {
-            if (child.isMesh) {
-              meshes.push(child);
-            }
-          });
-          resolve(meshes); // Resolves with an array of meshes
-        },
-        (error) => {
-          console.error("Error deserializing GLB data:", error);
-          reject(error);
-        }
-      );
-    };
-    reader.onerror = (error) => {
-      console.error("Error reading blob:", error);
-      reject(error);
-    };
-  });
-}
-
-async function loadMeshDataAsBinary(key) {
-  console.log("Loading mesh data from database for:", key);
-  try {
-    const db = await openDatabase();
-    const tx = db.transaction("meshData", "readonly");
-    const store = tx.objectStore("meshData");
-    const result = await store.get(key);
-
-    if (result) {
-      return await deserializeGLB(result.value); // Directly use the deserialized GLB to get meshes
-    } else {
-      console.error("Mesh data for", key, "is not available.");
-      return null;
-    }
-  } catch (error) {
-    console.error("Failed to load mesh data for", key, "with error:", error);
-    return null;
-  }
-}
-
-async function downloadFromIDB(key) {
-  const db = await openDatabase(); // Ensure this uses your defined 'openDatabase' function
-  const tx = db.transaction("meshData", "readonly");
-  const store = tx.objectStore("meshData");
-  const result = await store.get(key);
-
-  if (result) {
-    const blob = result.value;
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = key + ".glb"; // Assuming the file is a GLB file
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  } else {
-    console.error("No data found for key:", key);
+// Load the meshes of a GLB file. `fetcher` is any fetch-compatible function.
+async function loadMeshDataFromFile(
+  name,
+  path = `./glb/${name}.glb`,
+  fetcher = (url) => fetch(url)
+) {
+  const response = await fetcher(path);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${path}: ${response.status}`);
   }
-}
+  const buffer = await response.arrayBuffer();
 
-async function loadMeshDataFromFile(name) {
   return new Promise((resolve, reject) => {
     const loader = new GLTFLoader();
-    const path = `./glb/${name}.glb`; // Adjust the path as necessary
-
-    loader.load(
-      path,
+    loader.parse(
+      buffer,
+      "",
       (gltf) => {
         const meshes = [];
         gltf.scene.traverse((child) => {
@@ -291,18 +160,14 @@ async function loadMeshDataFromFile(name) {
         });
         resolve(meshes);
       },
-      undefined,
-      (error) => {
-        console.error("Failed to load mesh data from file:", error);
-        reject(error);
-      }
+      reject
     );
   });
 }
 
 async function geoJsonTo3DMeshUsingEarcut(geoJson, radius = DEFAULT_RADIUS) {
   if (!geoJson || !geoJson.features) {
-    console.error("Invalid GeoJSON data:", geoJson);
+    meshEvents.emit("error", { message: "Invalid GeoJSON data", geoJson });
     return [];
   }
 
@@ -311,7 +176,10 @@ async function geoJsonTo3DMeshUsingEarcut(geoJson, radius = DEFAULT_RADIUS) {
   // Process each feature in the GeoJSON
   for (const feature of geoJson.features) {
     if (!feature.geometry || !feature.geometry.coordinates) {
-      console.error(`Feature does not have a valid geometry:`, feature);
+      meshEvents.emit("error", {
+        message: "Feature does not have a valid geometry",
+        feature,
+      });
       continue;
     }
 
@@ -324,7 +192,10 @@ async function geoJsonTo3DMeshUsingEarcut(geoJson, radius = DEFAULT_RADIUS) {
           : null;
 
     if (!polygons) {
-      console.error(`Unsupported geometry type: ${geometryType}`);
+      meshEvents.emit("warning", {
+        message: `Unsupported geometry type: ${geometryType}`,
+        feature,
+      });
       continue;
     }
 
@@ -342,10 +213,10 @@ async function geoJsonTo3DMeshUsingEarcut(geoJson, radius = DEFAULT_RADIUS) {
         .filter((ring) => ring !== null);
 
       if (rings.length === 0) {
-        console.error(
-          "Invalid or too few coordinates to form a polygon:",
-          polygonCoords
-        );
+        meshEvents.emit("error", {
+          message: "Invalid or too few coordinates to form a polygon",
+          coordinates: polygonCoords,
+        });
         continue;
       }
 
@@ -359,41 +230,50 @@ async function geoJsonTo3DMeshUsingEarcut(geoJson, radius = DEFAULT_RADIUS) {
   return meshes;
 }
 
+// Options:
+//   meshMethod      forces one method for every polygon: "sphere", "earcut"
+//                   (flat triangles, no subdivision) or "turf" (legacy grid
+//                   clipping)
+//   maxEdgeDegrees  longest triangle edge of "sphere" tessellation
 async function geoJsonTo3DMesh(
   geoJson,
   radius = DEFAULT_RADIUS,
-  merge = true,
-  saveGlb = false
+  { meshMethod, maxEdgeDegrees = DEFAULT_MAX_EDGE_DEGREES } = {}
 ) {
   if (!geoJson || !geoJson.features) {
-    console.error("Invalid GeoJSON data:", geoJson);
+    meshEvents.emit("error", { message: "Invalid GeoJSON data", geoJson });
     return [];
   }
 
-  const name = geoJson.name;
-  const meshMethod = geoJson.meshMethod;
-
   let meshes = [];
+  // Triangles of every non-grid-clipped polygon, merged into one geometry
+  const surface = { positions: [], indices: [] };
 
   // Process each feature in the GeoJSON
   for (const feature of geoJson.features) {
-    if (!feature.geometry || !feature.geometry.coordinates) {
-      console.error(`Feature does not have a valid geometry:`, feature);
+    const parts = geometryParts(feature.geometry);
+    if (parts.length === 0) {
+      meshEvents.emit("error", {
+        message: "Feature does not have a valid geometry",
+        feature,
+      });
       continue;
     }
 
-    const geometryType = feature.geometry.type;
-    let polygons =
-      geometryType === "Polygon"
-        ? [feature.geometry.coordinates]
-        : geometryType === "MultiPolygon"
-          ? feature.geometry.coordinates
-          : null;
-
-    if (!polygons) {
-      console.error(`Unsupported geometry type: ${geometryType}`);
-      continue;
-    }
+    // Points and lines have no surface, see geoJsonToObject3D() for those
+    const polygons = [];
+    parts.forEach((geometry) => {
+      if (geometry.type === "Polygon") {
+        polygons.push(geometry.coordinates);
+      } else if (geometry.type === "MultiPolygon") {
+        polygons.push(...geometry.coordinates);
+      } else {
+        meshEvents.emit("warning", {
+          message: `Unsupported geometry type: ${geometry.type}`,
+          feature,
+        });
+      }
+    });
 
     for (const polygonCoords of polygons) {
       // Ensure each ring has at least four coordinates and closes properly
@@ -409,25 +289,30 @@ async function geoJsonTo3DMesh(
         .filter((ring) => ring !== null);
 
       if (rings.length === 0) {
-        console.error(
-          "Invalid or too few coordinates to form a polygon:",
-          polygonCoords
-        );
+        meshEvents.emit("error", {
+          message: "Invalid or too few coordinates to form a polygon",
+          coordinates: polygonCoords,
+        });
         continue;
       }
 
       const polygon = turf.polygon(rings);
       const area = turf.area(polygon) / 1000000; // Convert area to square kilometers
 
-      // Check the area to determine processing method
-      const usingTurf = meshMethod === "turf" || area >= 200000;
+      // Large polygons need subdividing to follow the curvature of the globe.
+      // Grid clipping cannot handle polygons crossing the antimeridian.
+      let method =
+        meshMethod || (area >= LARGE_POLYGON_AREA ? "sphere" : "earcut");
+      if (method === "turf" && rings.some(crossesAntimeridian)) {
+        method = "sphere";
+      }
 
-      if (!usingTurf) {
-        const data = earcut.flatten(rings);
-        const { vertices, holes, dimensions } = data;
-        const indices = earcut(vertices, holes, dimensions);
-        const mesh = createMesh(vertices, indices, dimensions, radius);
-        meshes.push(mesh);
+      if (method !== "turf") {
+        tessellateOnSphere(
+          rings,
+          surface,
+          method === "sphere" ? maxEdgeDegrees : Infinity
+        );
       } else {
         const cellSide = area > 1000000 ? 75.0 : 20.0;
         const bbox = turf.bbox(polygon);
@@ -460,24 +345,153 @@ async function geoJsonTo3DMesh(
     }
   }
 
-  // Optionally save the computed meshes for large countries
-  if (saveGlb) {
-    const combinedMesh = meshes.length == 1 ? meshes[0] : combineMeshes(meshes);
-    await exportMeshToGLB(combinedMesh)
-      .then((glbBlob) => {
-        saveMeshDataAsBinary(name, glbBlob); // Save the GLB blob to IndexedDB
-        setTimeout(() => {
-          downloadFromIDB(name);
-        }, 500);
-      })
-      .catch((error) => {
-        console.error("Failed to save mesh data as GLB:", error);
-      });
+  if (surface.indices.length > 0) {
+    meshes.push(createSurfaceMesh(surface, radius));
   }
-
   return meshes;
 }
 
+// Triangulate a polygon with earcut, then split every triangle edge longer
+// than `maxEdgeDegrees` of arc at its midpoint until none is left. Ring
+// edges are split in lng/lat like outlines (see edgePositions()), inner
+// edges in the triangulation plane (lng/lat, or the polar projection).
+// Vertices are appended to `surface.positions` as unit vectors. Midpoints
+// are shared by the triangles on both sides of an edge, so the subdivided
+// surface has no cracks.
+function tessellateOnSphere(rings, surface, maxEdgeDegrees) {
+  // Polygons crossing the antimeridian are triangulated with unwrapped
+  // longitudes, polar ones in a plane centered on their pole
+  const { rings: unwrapped, pole } = unwrapPolygon(rings);
+  const project = pole ? polarProjection(pole) : (point) => point;
+  const unproject = pole
+    ? ([x, y]) => [
+        (Math.atan2(pole * y, x) * 180) / Math.PI,
+        pole * (90 - Math.hypot(x, y)),
+      ]
+    : (point) => point;
+  const { vertices, holes, dimensions } = earcut.flatten(
+    unwrapped.map((ring) => ring.map(project))
+  );
+  const triangles = earcut(vertices, holes, dimensions);
+  const { positions, indices } = surface;
+  const offset = positions.length / 3;
+
+  // Plane and lng/lat coordinates of every vertex, from `offset` on
+  const planar = [];
+  const geographic = [];
+  const addVertex = (point, lngLat = unproject(point)) => {
+    planar.push(point);
+    geographic.push(lngLat);
+    positions.push(...latLngTo3DPosition(lngLat[1], lngLat[0], 1));
+    return positions.length / 3 - 1;
+  };
+  for (let i = 0; i < vertices.length; i += dimensions) {
+    addVertex([vertices[i], vertices[i + 1]]);
+  }
+
+  const edgeKey = (a, b) => (a < b ? `${a}_${b}` : `${b}_${a}`);
+  const ringEdges = new Set();
+  const ringStarts = [0, ...holes, vertices.length / dimensions];
+  for (let ring = 0; ring < ringStarts.length - 1; ring++) {
+    const start = ringStarts[ring];
+    const end = ringStarts[ring + 1];
+    for (let i = start; i < end; i++) {
+      const next = i + 1 < end ? i + 1 : start;
+      ringEdges.add(edgeKey(offset + i, offset + next));
+    }
+  }
+
+  // Compare dot products of unit vectors instead of angles
+  const minDot = Number.isFinite(maxEdgeDegrees)
+    ? Math.cos((maxEdgeDegrees * Math.PI) / 180)
+    : -Infinity;
+  const dot = (a, b) =>
+    positions[a * 3] * positions[b * 3] +
+    positions[a * 3 + 1] * positions[b * 3 + 1] +
+    positions[a * 3 + 2] * positions[b * 3 + 2];
+
+  // Edges are not split along great circles: a long edge along a parallel
+  // stays on it instead of bulging towards the pole and out of the polygon
+  const midpoints = new Map();
+  const midpoint = (a, b) => {
+    const key = edgeKey(a, b);
+    let index = midpoints.get(key);
+    if (index === undefined) {
+      if (ringEdges.has(key)) {
+        const lngLat = lngLatMidpoint(
+          geographic[a - offset],
+          geographic[b - offset]
+        );
+        index = addVertex(project(lngLat), lngLat);
+        ringEdges.add(edgeKey(a, index));
+        ringEdges.add(edgeKey(index, b));
+      } else {
+        const [xa, ya] = planar[a - offset];
+        const [xb, yb] = planar[b - offset];
+        index = addVertex([(xa + xb) / 2, (ya + yb) / 2]);
+      }
+      midpoints.set(key, index);
+    }
+    return index;
+  };
+
+  const stack = [];
+  for (let i = 0; i < triangles.length; i += 3) {
+    stack.push([
+      offset + triangles[i],
+      offset + triangles[i + 1],
+      offset + triangles[i + 2],
+    ]);
+  }
+
+  // Split the longest edge first, keeping the winding of the triangle
+  while (stack.length > 0) {
+    const [a, b, c] = stack.pop();
+    const ab = dot(a, b);
+    const bc = dot(b, c);
+    const ca = dot(c, a);
+    const longest = Math.min(ab, bc, ca);
+
+    if (longest >= minDot) {
+      indices.push(a, b, c);
+    } else if (longest === ab) {
+      const m = midpoint(a, b);
+      stack.push([a, m, c], [m, b, c]);
+    } else if (longest === bc) {
+      const m = midpoint(b, c);
+      stack.push([a, b, m], [a, m, c]);
+    } else {
+      const m = midpoint(c, a);
+      stack.push([a, b, m], [m, b, c]);
+    }
+  }
+}
+
+// Indexed mesh from unit-sphere vertices, whose normals are the vertices
+// themselves
+function createSurfaceMesh({ positions, indices }, radius) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(
+      Float32Array.from(positions, (value) => value * radius),
+      3
+    )
+  );
+  geometry.setAttribute(
+    "normal",
+    new THREE.BufferAttribute(Float32Array.from(positions), 3)
+  );
+  geometry.setIndex(indices);
+
+  const material = new THREE.MeshBasicMaterial({
+    color: DEFAULT_COLOR,
+    side: THREE.DoubleSide,
+  });
+
+  return new THREE.Mesh(geometry, material);
+}
+
 function createMesh(vertices, indices, dimensions, radius) {
   const vertices3D = [];
   for (let i = 0; i < vertices.length; i += dimensions) {
@@ -502,44 +516,129 @@ function createMesh(vertices, indices, dimensions, radius) {
   return new THREE.Mesh(geometry, material);
 }
 
-function geoJsonTo3DLines(geoJson, radius = DEFAULT_RADIUS) {
-  if (!geoJson || !geoJson.features) {
-    console.error("Invalid GeoJSON data:", geoJson);
-    return [];
+// Structured-clone friendly copy of the meshes' geometry, for MeshCache
+function serializeMeshes(meshes) {
+  return meshes.map((mesh) => {
+    const { position, normal } = mesh.geometry.attributes;
+    const index = mesh.geometry.index;
+    mesh.updateMatrix();
+    return {
+      position: attributeArray(position),
+      normal: normal ? attributeArray(normal) : null,
+      index: index ? index.array.slice() : null,
+      matrix: mesh.matrix.toArray(),
+    };
+  });
+}
+
+// Copy only the attribute's own data, GLB attributes are often views into a
+// buffer shared with the rest of the file
+function attributeArray(attribute) {
+  if (!attribute.isInterleavedBufferAttribute) {
+    return attribute.array.slice();
   }
+  const array = new Float32Array(attribute.count * 3);
+  for (let i = 0; i < attribute.count; i++) {
+    array[i * 3] = attribute.getX(i);
+    array[i * 3 + 1] = attribute.getY(i);
+    array[i * 3 + 2] = attribute.getZ(i);
+  }
+  return array;
+}
 
-  const lines = [];
+function serializedSize(records) {
+  return records.reduce(
+    (size, { position, normal, index }) =>
+      size +
+      position.byteLength +
+      (normal ? normal.byteLength : 0) +
+      (index ? index.byteLength : 0),
+    0
+  );
+}
 
-  geoJson.features.forEach((feature, featureIndex) => {
-    if (feature.geometry && feature.geometry.coordinates) {
-      feature.geometry.coordinates.forEach((polygon, polyIndex) => {
-        polygon.forEach((ring, ringIndex) => {
-          const vertices3D = [];
-          ring.forEach(([lng, lat]) => {
-            const [x, y, z] = latLngTo3DPosition(lat, lng, radius);
-            vertices3D.push(x, y, z);
-          });
+function deserializeMeshes(records) {
+  return records.map(({ position, normal, index, matrix }) => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(position, 3));
+    if (normal) {
+      geometry.setAttribute("normal", new THREE.BufferAttribute(normal, 3));
+    }
+    if (index) {
+      geometry.setIndex(new THREE.BufferAttribute(index, 1));
+    }
+    const mesh = new THREE.Mesh(
+      geometry,
+      new THREE.MeshBasicMaterial({
+        color: DEFAULT_COLOR,
+        side: THREE.DoubleSide,
+      })
+    );
+    mesh.applyMatrix4(new THREE.Matrix4().fromArray(matrix));
+    return mesh;
+  });
+}
 
-          // Ensure the polygon is closed
-          const firstPoint = vertices3D.slice(0, 3);
-          vertices3D.push(...firstPoint);
+// Fill material for a country style `{ color, opacity }`. A positive
+// `depthOffset` pushes the fill behind other fills drawn at the same radius.
+function createFillMaterial(
+  { color = DEFAULT_COLOR, opacity = 1 } = {},
+  depthOffset = 0
+) {
+  return new THREE.MeshBasicMaterial({
+    color,
+    opacity,
+    transparent: opacity < 1,
+    depthWrite: opacity >= 1,
+    side: THREE.DoubleSide,
+    polygonOffset: depthOffset !== 0,
+    polygonOffsetFactor: depthOffset,
+    polygonOffsetUnits: depthOffset,
+  });
+}
 
-          // Create geometry for the line
-          const geometry = new THREE.BufferGeometry();
-          geometry.setAttribute(
-            "position",
-            new THREE.Float32BufferAttribute(vertices3D, 3)
-          );
+// Ring lines of every polygon and paths of every LineString, 1px wide unless
+// a `lineStyle` (see utils/lineUtils.js) asks for screen-space lines
+function geoJsonTo3DLines(
+  geoJson,
+  radius = DEFAULT_RADIUS,
+  { lineStyle = null } = {}
+) {
+  if (!geoJson || !geoJson.features) {
+    meshEvents.emit("error", { message: "Invalid GeoJSON data", geoJson });
+    return [];
+  }
 
-          const material = new THREE.LineBasicMaterial({
-            color: DEFAULT_COLOR,
-          });
-          const line = new THREE.LineLoop(geometry, material);
-          lines.push(line);
+  const lines = [];
+  const lineMaterials =
+    lineStyle && createLineMaterials({ color: DEFAULT_COLOR, ...lineStyle });
+
+  geoJson.features.forEach((feature) => {
+    const parts = geometryParts(feature.geometry);
+    if (parts.length > 0) {
+      parts.forEach((geometry) => {
+        polygonRings(geometry).forEach((ring) => {
+          const material =
+            lineMaterials ||
+            new THREE.LineBasicMaterial({
+              color: DEFAULT_COLOR,
+            });
+          lines.push(...createRingLines(ring, radius, material));
+        });
+        lineStringPaths(geometry).forEach((path) => {
+          const material =
+            lineMaterials ||
+            new THREE.LineBasicMaterial({
+              color: DEFAULT_COLOR,
+            });
+          lines.push(...createPathLines(path, radius, material));
         });
       });
     } else {
-      console.error(`Feature does not have a valid geometry:`, feature);
+      meshEvents.emit("error", {
+        message: "Feature does not have a valid geometry",
+        feature,
+      });
     }
   });
 
@@ -548,7 +647,7 @@ function geoJsonTo3DLines(geoJson, radius = DEFAULT_RADIUS) {
 
 function geoJsonToSingle3DPin(geoJson, radius = DEFAULT_RADIUS) {
   if (!geoJson || !geoJson.features) {
-    console.error("Invalid GeoJSON data:", geoJson);
+    meshEvents.emit("error", { message: "Invalid GeoJSON data", geoJson });
     return [];
   }
   const pins = [];
@@ -559,38 +658,18 @@ function geoJsonToSingle3DPin(geoJson, radius = DEFAULT_RADIUS) {
     firstFeature.geometry &&
     firstFeature.geometry.coordinates
   ) {
-    // Function to calculate the centroid of a polygon
-    const calculateCentroid = (coordinates) => {
-      let totalLng = 0;
-      let totalLat = 0;
-      let count = 0;
-
-      coordinates.forEach((ring) => {
-        ring.forEach(([lng, lat]) => {
-          totalLng += lng;
-          totalLat += lat;
-          count++;
-        });
+    if (!["Polygon", "MultiPolygon"].includes(firstFeature.geometry.type)) {
+      meshEvents.emit("warning", {
+        message: `Unsupported geometry type: ${firstFeature.geometry.type}`,
+        feature: firstFeature,
       });
-
-      return [totalLat / count, totalLng / count];
-    };
-
-    // Extract coordinates based on geometry type
-    let centroidLatLng;
-    if (firstFeature.geometry.type === "Polygon") {
-      const firstPolygon = firstFeature.geometry.coordinates;
-      centroidLatLng = calculateCentroid(firstPolygon);
-    } else if (firstFeature.geometry.type === "MultiPolygon") {
-      const firstPolygon = firstFeature.geometry.coordinates[0];
-      centroidLatLng = calculateCentroid(firstPolygon);
-    } else {
-      console.error(`Unsupported geometry type:`, firstFeature.geometry.type);
       return [];
     }
 
-    // Convert the centroid to 3D coordinates
-    const [centroidLat, centroidLng] = centroidLatLng;
+    // Centroid of the first polygon, valid across the antimeridian
+    const { lat: centroidLat, lng: centroidLng } = calculatePolygonCentroid(
+      firstFeature.geometry
+    );
     const [x, y, z] = latLngTo3DPosition(centroidLat, centroidLng, radius);
 
     // Create a custom pin
@@ -609,10 +688,10 @@ function geoJsonToSingle3DPin(geoJson, radius = DEFAULT_RADIUS) {
 
     pins.push(pin);
   } else {
-    console.error(
-      `First feature does not have a valid geometry:`,
-      firstFeature
-    );
+    meshEvents.emit("error", {
+      message: "First feature does not have a valid geometry",
+      feature: firstFeature,
+    });
   }
 
   return pins;
@@ -653,99 +732,378 @@ function createClassicPin(color) {
   return pinGroup;
 }
 
-// Function to highlight a region with different styles
+// Function to highlight a region with different styles. `options` go to
+// the function drawing the style: geoJsonTo3DMesh() for "mesh" and
+// "extrude" (which also takes a `height`), geoJsonTo3DLines() for "lines".
+// `merge` is no longer used and only kept for the position of `radius`.
 async function polygonsToMesh(
   geoJson,
   style = "mesh",
   merge = true,
-  radius = DEFAULT_RADIUS
+  radius = DEFAULT_RADIUS,
+  options = {}
 ) {
   if (style === "mesh") {
-    return await geoJsonTo3DMesh(geoJson, radius, merge);
+    return await geoJsonTo3DMesh(geoJson, radius, options);
     // return await geoJsonTo3DMeshUsingEarcut(geoJson, radius);
   } else if (style === "pin") {
     return geoJsonToSingle3DPin(geoJson, radius);
   } else if (style === "lines") {
-    return geoJsonTo3DLines(geoJson, radius);
+    return geoJsonTo3DLines(geoJson, radius, options);
+  } else if (style === "extrude") {
+    return await geoJsonToExtrudedMeshes(geoJson, radius, options);
   }
 }
 
-function createOutlineMesh(vertices, radius, color) {
-  const points = vertices.map(([lng, lat]) => {
-    const [x, y, z] = latLngTo3DPosition(lat, lng, radius);
-    return new THREE.Vector3(x, y, z);
+// Country prisms raised by `height` above the globe
+async function geoJsonToExtrudedMeshes(
+  geoJson,
+  radius = DEFAULT_RADIUS,
+  { height = DEFAULT_EXTRUSION_HEIGHT, ...options } = {}
+) {
+  const surfaces = await geoJsonTo3DMesh(geoJson, radius, options);
+
+  return surfaces.map((surface) => {
+    const geometry = createExtrudedGeometry(surface.geometry);
+    setExtrusionHeight(geometry, height);
+    surface.geometry.dispose();
+    return new THREE.Mesh(
+      geometry,
+      new THREE.MeshBasicMaterial({
+        color: DEFAULT_COLOR,
+        side: THREE.DoubleSide,
+        vertexColors: true,
+      })
+    );
+  });
+}
+
+// Prism geometry built from a country surface lying on the globe (indexed
+// or not, e.g. loaded from a GLB; `matrix` places it on the globe). The
+// surface becomes the top and walls are added along its boundary edges,
+// including holes, down to the globe. The top starts on the globe, call
+// setExtrusionHeight() to raise it.
+function createExtrudedGeometry(surfaceGeometry, matrix) {
+  let surface = surfaceGeometry.clone();
+  if (matrix) {
+    surface.applyMatrix4(matrix);
+  }
+  Object.keys(surface.attributes)
+    .filter((name) => name !== "position")
+    .forEach((name) => surface.deleteAttribute(name));
+  // Weld duplicated vertices so that edges shared by two triangles are found
+  surface = mergeVertices(surface);
+
+  const source = surface.attributes.position;
+  const surfaceIndex = surface.index.array;
+  const directions = [];
+  const lifts = [];
+  const colors = [];
+  const indices = Array.from(surfaceIndex);
+  let radiusSum = 0;
+
+  for (let i = 0; i < source.count; i++) {
+    const x = source.getX(i);
+    const y = source.getY(i);
+    const z = source.getZ(i);
+    const length = Math.hypot(x, y, z);
+    radiusSum += length;
+    directions.push(x / length, y / length, z / length);
+    lifts.push(1);
+    colors.push(1, 1, 1);
+  }
+  const radius = radiusSum / source.count;
+
+  // Boundary edges belong to a single triangle. Edges are kept in triangle
+  // winding order so all walls face the same way.
+  const edges = new Map();
+  for (let i = 0; i < surfaceIndex.length; i += 3) {
+    for (let corner = 0; corner < 3; corner++) {
+      const a = surfaceIndex[i + corner];
+      const b = surfaceIndex[i + ((corner + 1) % 3)];
+      const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+      edges.set(key, edges.has(key) ? null : [a, b]);
+    }
+  }
+
+  const latLngOf = (vertex) => {
+    const { lat, lng } = positionToLatLng(
+      directions[vertex * 3],
+      directions[vertex * 3 + 1],
+      directions[vertex * 3 + 2]
+    );
+    return [lng, lat];
+  };
+
+  edges.forEach((edge) => {
+    // Edges where the data was cut at the antimeridian continue in the
+    // neighbouring polygon and need no wall
+    if (!edge || isCutEdge(latLngOf(edge[0]), latLngOf(edge[1]), 1e-4)) {
+      return;
+    }
+
+    const first = directions.length / 3;
+    [edge[0], edge[1], edge[0], edge[1]].forEach((vertex, corner) => {
+      directions.push(
+        directions[vertex * 3],
+        directions[vertex * 3 + 1],
+        directions[vertex * 3 + 2]
+      );
+      lifts.push(corner < 2 ? 1 : 0);
+      colors.push(WALL_SHADE, WALL_SHADE, WALL_SHADE);
+    });
+    // top a, top b, bottom a, bottom b
+    indices.push(first, first + 2, first + 3, first, first + 3, first + 1);
   });
-  const geometry = new THREE.BufferGeometry().setFromPoints(points);
-  const material = new THREE.LineBasicMaterial({ color: color });
-  return new THREE.LineLoop(geometry, material);
+  surface.dispose();
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(new Float32Array(directions.length), 3)
+  );
+  geometry.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+  geometry.setIndex(indices);
+  geometry.userData.extrusion = {
+    directions: Float32Array.from(directions),
+    lifts: Uint8Array.from(lifts),
+    radius,
+    height: 0,
+  };
+  setExtrusionHeight(geometry, 0);
+  return geometry;
+}
+
+// Move the top of a geometry from createExtrudedGeometry() to `height` above
+// the globe
+function setExtrusionHeight(geometry, height) {
+  const extrusion = geometry.userData.extrusion;
+  const { directions, lifts, radius } = extrusion;
+  const positions = geometry.attributes.position.array;
+  // Wall normals only depend on the height while walls are flat
+  const updateNormals = extrusion.height === 0 || !geometry.attributes.normal;
+
+  for (let i = 0; i < lifts.length; i++) {
+    const distance = radius + lifts[i] * height;
+    positions[i * 3] = directions[i * 3] * distance;
+    positions[i * 3 + 1] = directions[i * 3 + 1] * distance;
+    positions[i * 3 + 2] = directions[i * 3 + 2] * distance;
+  }
+
+  extrusion.height = height;
+  geometry.attributes.position.needsUpdate = true;
+  if (updateNormals) {
+    geometry.computeVertexNormals();
+  }
+  geometry.computeBoundingSphere();
+}
+
+// The simple geometries of a geometry, GeometryCollections flattened
+function geometryParts(geometry) {
+  if (!geometry) {
+    return [];
+  }
+  if (geometry.type === "GeometryCollection") {
+    return (geometry.geometries || []).flatMap(geometryParts);
+  }
+  return geometry.coordinates ? [geometry] : [];
+}
+
+// Every ring of a Polygon or MultiPolygon geometry
+function polygonRings(geometry) {
+  if (geometry.type === "Polygon") {
+    return geometry.coordinates;
+  }
+  if (geometry.type === "MultiPolygon") {
+    return geometry.coordinates.flat();
+  }
+  return [];
+}
+
+// Every path of a LineString or MultiLineString geometry
+function lineStringPaths(geometry) {
+  if (geometry.type === "LineString") {
+    return [geometry.coordinates];
+  }
+  if (geometry.type === "MultiLineString") {
+    return geometry.coordinates;
+  }
+  return [];
 }
 
-async function geoJsonTo3DOutlineMesh(geoJson, radius = DEFAULT_RADIUS, color) {
+// `material` is a LineBasicMaterial, or `{ line, glow }` materials from
+// createLineMaterials() for screen-space lines
+function createLineObjects(positions, closed, material) {
+  if (!material.isMaterial) {
+    return createScreenLines(positions, closed, material);
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(positions, 3)
+  );
+  return [
+    closed
+      ? new THREE.LineLoop(geometry, material)
+      : new THREE.Line(geometry, material),
+  ];
+}
+
+// Lines following a ring's edges. Edges along the antimeridian or a pole,
+// added by datasets to cut polygons there, are not drawn.
+function createRingLines(ring, radius, material) {
+  const { paths, closed } = ringOutlinePaths(ring);
+  return paths.flatMap((path) => {
+    const positions = closed
+      ? edgePositions(
+          [...path, path[0]],
+          radius,
+          DEFAULT_MAX_EDGE_DEGREES
+        ).slice(0, -3)
+      : edgePositions(path, radius, DEFAULT_MAX_EDGE_DEGREES);
+    return createLineObjects(positions, closed, material);
+  });
+}
+
+// Lines following an open path along great circles
+function createPathLines(path, radius, material) {
+  if (path.length < 2) {
+    return [];
+  }
+  return createLineObjects(greatCirclePositions(path, radius), false, material);
+}
+
+async function geoJsonTo3DOutlineMesh(
+  geoJson,
+  radius = DEFAULT_RADIUS,
+  color,
+  lineStyle = null
+) {
   if (!geoJson || !geoJson.features) {
-    console.error("Invalid GeoJSON data:", geoJson);
+    meshEvents.emit("error", { message: "Invalid GeoJSON data", geoJson });
     return [];
   }
 
   let lineMeshes = [];
+  // Screen-space lines share their materials across rings
+  const lineMaterials =
+    lineStyle && createLineMaterials({ color, ...lineStyle });
 
   for (const feature of geoJson.features) {
-    if (!feature.geometry || !feature.geometry.coordinates) {
-      console.error(`Feature does not have a valid geometry:`, feature);
+    const parts = geometryParts(feature.geometry);
+    if (parts.length === 0) {
+      meshEvents.emit("error", {
+        message: "Feature does not have a valid geometry",
+        feature,
+      });
       continue;
     }
 
-    const geometryType = feature.geometry.type;
-    let lines = [];
-
-    if (geometryType === "Polygon") {
-      lines = feature.geometry.coordinates;
-    } else if (geometryType === "MultiPolygon") {
-      // Correctly handle MultiPolygon by flattening only one level
-      feature.geometry.coordinates.forEach((poly) => {
-        lines.push(...poly);
+    // Polygons are outlined, lines drawn as they are and points skipped
+    const rings = parts.flatMap(polygonRings);
+    const paths = parts.flatMap(lineStringPaths);
+    if (rings.length === 0 && paths.length === 0) {
+      meshEvents.emit("debug", {
+        message: "Feature has nothing to outline",
+        feature,
       });
-    } else {
-      console.error(`Unsupported geometry type for outlines: ${geometryType}`);
       continue;
     }
 
-    lines.forEach((lineCoords) => {
+    rings.forEach((lineCoords) => {
       if (lineCoords.length > 0 && Array.isArray(lineCoords[0])) {
-        const outlineMesh = createOutlineMesh(lineCoords, radius, color);
-        lineMeshes.push(outlineMesh);
+        const material =
+          lineMaterials || new THREE.LineBasicMaterial({ color: color });
+        lineMeshes.push(...createRingLines(lineCoords, radius, material));
       } else {
-        console.error("Invalid line coordinates:", lineCoords);
+        meshEvents.emit("error", {
+          message: "Invalid line coordinates",
+          coordinates: lineCoords,
+        });
       }
     });
+    paths.forEach((path) => {
+      const material =
+        lineMaterials || new THREE.LineBasicMaterial({ color: color });
+      lineMeshes.push(...createPathLines(path, radius, material));
+    });
   }
 
   return lineMeshes;
 }
 
-async function loadGlbMesh(countryName, radius = DEFAULT_RADIUS) {
+// Load a country's pre-baked GLB, baked at `bakedRadius` and scaled to
+// `radius`. Resolves to undefined when the file is missing or cannot be
+// parsed, so callers can fall back to the GeoJSON.
+async function loadGlbMesh(
+  countryName,
+  radius = DEFAULT_RADIUS,
+  { url, fetcher, bakedRadius = DEFAULT_RADIUS } = {}
+) {
   try {
-    const meshes = await loadMeshDataFromFile(countryName);
-    if (meshes && Array.isArray(meshes)) {
-      meshes.forEach(mesh => {
-        if (mesh.scale && typeof mesh.scale.set === 'function') {
-          mesh.scale.set(radius / DEFAULT_RADIUS, radius / DEFAULT_RADIUS, radius / DEFAULT_RADIUS);
+    const meshes = await loadMeshDataFromFile(countryName, url, fetcher);
+    if (meshes && Array.isArray(meshes) && meshes.length > 0) {
+      meshes.forEach((mesh) => {
+        if (mesh.scale && typeof mesh.scale.set === "function") {
+          mesh.scale.setScalar(radius / bakedRadius);
         } else {
-          console.error(`Mesh for country ${countryName} does not have a valid scale property.`);
+          meshEvents.emit("error", {
+            message: `Mesh for country ${countryName} does not have a valid scale property.`,
+            code: countryName,
+          });
         }
       });
       return meshes;
     } else {
-      console.error(`No valid mesh list returned for country ${countryName}.`);
+      meshEvents.emit("error", {
+        message: `No valid mesh list returned for country ${countryName}.`,
+        code: countryName,
+      });
     }
   } catch (error) {
-    console.error(`Failed to load mesh data for country ${countryName} from database:`, error);
+    meshEvents.emit("error", {
+      message: `Failed to load mesh data for country ${countryName}`,
+      error,
+      code: countryName,
+    });
   }
 }
 
-async function generateCountryOutlines(geoJson, color) {
-  const outlines = await geoJsonTo3DOutlineMesh(geoJson, DEFAULT_RADIUS, color);
+// Country borders as a group of lines: 1px wide, or styled screen-space
+// lines when given a `lineStyle` (see utils/lineUtils.js)
+async function generateCountryOutlines(
+  geoJson,
+  color,
+  radius = DEFAULT_RADIUS,
+  lineStyle = null
+) {
+  const outlines = await geoJsonTo3DOutlineMesh(
+    geoJson,
+    radius,
+    color,
+    lineStyle
+  );
   const combinedOutlines = combineMeshes(outlines);
   return combinedOutlines;
 }
 
-export { loadGlbMesh, polygonsToMesh, generateCountryOutlines };
+export {
+  loadGlbMesh,
+  geoJsonTo3DMesh,
+  geometryParts,
+  polygonRings,
+  lineStringPaths,
+  createRingLines,
+  createPathLines,
+  combineMeshes,
+  exportMeshToGLB,
+  polygonsToMesh,
+  generateCountryOutlines,
+  createFillMaterial,
+  createExtrudedGeometry,
+  setExtrusionHeight,
+  serializeMeshes,
+  deserializeMeshes,
+  serializedSize,
+  meshEvents,
+};
@@ -0,0 +1,59 @@
+// Position of the sun for a UTC date, precise to about a tenth of a degree
+// for dates within a few centuries of 2000 (low-precision formulas of the
+// Astronomical Almanac).
+import * as THREE from "three";
+import { latLngTo3DPosition } from "./geoUtils.js";
+
+const MS_PER_DAY = 86400000;
+const J2000 = 2451545.0; // Julian date of 2000-01-01T12:00Z
+const UNIX_EPOCH_JULIAN_DATE = 2440587.5;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+function normalizeDegrees(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+function normalizeLng(lng) {
+  return normalizeDegrees(lng + 180) - 180;
+}
+
+// The point where the sun is directly overhead at `date`, `{ lat, lng }`
+function subsolarPoint(date = new Date()) {
+  const days = date.getTime() / MS_PER_DAY + UNIX_EPOCH_JULIAN_DATE - J2000;
+
+  // Ecliptic longitude of the sun from its mean longitude and anomaly
+  const meanLongitude = normalizeDegrees(280.46 + 0.9856474 * days);
+  const meanAnomaly = toRadians(normalizeDegrees(357.528 + 0.9856003 * days));
+  const eclipticLongitude = toRadians(
+    meanLongitude +
+      1.915 * Math.sin(meanAnomaly) +
+      0.02 * Math.sin(2 * meanAnomaly)
+  );
+  const obliquity = toRadians(23.439 - 0.0000004 * days);
+
+  const declination = Math.asin(
+    Math.sin(obliquity) * Math.sin(eclipticLongitude)
+  );
+  const rightAscension = Math.atan2(
+    Math.cos(obliquity) * Math.sin(eclipticLongitude),
+    Math.cos(eclipticLongitude)
+  );
+  // Greenwich mean sidereal time, the right ascension on the meridian
+  const siderealTime = normalizeDegrees(280.46061837 + 360.98564736629 * days);
+
+  return {
+    lat: toDegrees(declination),
+    lng: normalizeLng(toDegrees(rightAscension) - siderealTime),
+  };
+}
+
+// Unit vector from the earth's center towards the sun at `date`, in the
+// earth's local frame (the frame of latLngTo3DPosition)
+function sunDirection(date = new Date(), target = new THREE.Vector3()) {
+  const { lat, lng } = subsolarPoint(date);
+  return target.set(...latLngTo3DPosition(lat, lng, 1));
+}
+
+export { subsolarPoint, sunDirection };
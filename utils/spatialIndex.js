@@ -0,0 +1,199 @@
+// Grid index of lat/lng bounding boxes, used to find the countries whose
+// polygons may contain a point. Boxes are stored per polygon so sprawling
+// countries (Russia, Chile, the US) only cover the cells their parts touch.
+//
+// Bounding boxes follow the GeoJSON convention [west, south, east, north];
+// a box crossing the antimeridian has west > east.
+
+const DEFAULT_CELL_SIZE = 5; // Grid cell size in degrees
+
+function normalizeLng(lng) {
+  return ((((lng + 180) % 360) + 360) % 360) - 180;
+}
+
+// Bounding box of a ring, taking the antimeridian and poles into account
+function ringBBox(ring) {
+  let south = Infinity;
+  let north = -Infinity;
+  let west = Infinity;
+  let east = -Infinity;
+
+  // Unwrap longitudes so consecutive points never jump by more than 180°
+  let previousLng = ring[0][0];
+  let unwrappedLng = ring[0][0];
+
+  ring.forEach(([lng, lat], index) => {
+    if (index > 0) {
+      let delta = lng - previousLng;
+      if (delta > 180) delta -= 360;
+      if (delta < -180) delta += 360;
+      unwrappedLng += delta;
+      previousLng = lng;
+    }
+    west = Math.min(west, unwrappedLng);
+    east = Math.max(east, unwrappedLng);
+    south = Math.min(south, lat);
+    north = Math.max(north, lat);
+  });
+
+  // A ring that winds all the way around the globe encloses a pole
+  const windsAroundPole = Math.abs(unwrappedLng - ring[0][0]) > 180;
+  if (windsAroundPole || east - west >= 360) {
+    if (windsAroundPole) {
+      if (Math.abs(south) > Math.abs(north)) {
+        south = -90;
+      } else {
+        north = 90;
+      }
+    }
+    return [-180, south, 180, north];
+  }
+
+  const span = east - west;
+  const normalizedWest = normalizeLng(west);
+  // normalizeLng(180) is -180, keep boxes ending exactly on the antimeridian
+  const normalizedEast =
+    normalizedWest + span > 180
+      ? normalizedWest + span - 360
+      : normalizedWest + span;
+
+  return [normalizedWest, south, normalizedEast, north];
+}
+
+// One bounding box per polygon of a Polygon or MultiPolygon geometry
+function geometryBBoxes(geometry) {
+  if (!geometry) {
+    return [];
+  }
+
+  switch (geometry.type) {
+    case "Polygon":
+      return geometry.coordinates.length > 0
+        ? [ringBBox(geometry.coordinates[0])]
+        : [];
+    case "MultiPolygon":
+      return geometry.coordinates
+        .filter((polygon) => polygon.length > 0)
+        .map((polygon) => ringBBox(polygon[0]));
+    default:
+      return [];
+  }
+}
+
+function bboxContains(bbox, lat, lng) {
+  const [west, south, east, north] = bbox;
+  if (lat < south || lat > north) {
+    return false;
+  }
+  return west <= east ? lng >= west && lng <= east : lng >= west || lng <= east;
+}
+
+function bboxArea(bbox) {
+  const [west, south, east, north] = bbox;
+  const width = west <= east ? east - west : 360 - west + east;
+  return width * (north - south);
+}
+
+class SpatialIndex {
+  constructor(cellSize = DEFAULT_CELL_SIZE) {
+    this.cellSize = cellSize;
+    this.entries = [];
+    this.cells = new Map();
+    this.columns = Math.ceil(360 / cellSize);
+    this.rows = Math.ceil(180 / cellSize);
+  }
+
+  column(lng) {
+    return Math.min(
+      Math.floor((normalizeLng(lng) + 180) / this.cellSize),
+      this.columns - 1
+    );
+  }
+
+  row(lat) {
+    return Math.min(
+      Math.max(Math.floor((lat + 90) / this.cellSize), 0),
+      this.rows - 1
+    );
+  }
+
+  // Add an item covering `bbox`. Items are returned as-is by search().
+  insert(bbox, item) {
+    const id = this.entries.length;
+    this.entries.push({ bbox, item });
+
+    const [west, south, east, north] = bbox;
+    // Boxes crossing the antimeridian cover two column ranges
+    const lngRanges =
+      west <= east
+        ? [[west, east]]
+        : [
+            [west, 180],
+            [-180, east],
+          ];
+
+    for (let row = this.row(south); row <= this.row(north); row++) {
+      lngRanges.forEach(([from, to]) => {
+        const lastColumn = to >= 180 ? this.columns - 1 : this.column(to);
+        for (let column = this.column(from); column <= lastColumn; column++) {
+          const key = row * this.columns + column;
+          if (!this.cells.has(key)) {
+            this.cells.set(key, []);
+          }
+          this.cells.get(key).push(id);
+        }
+      });
+    }
+  }
+
+  // Items whose bounding box contains the point, smallest box first so that
+  // enclaves (Lesotho, San Marino) are tested before the country around them
+  search(lat, lng) {
+    const normalizedLng = normalizeLng(lng);
+    const key = this.row(lat) * this.columns + this.column(normalizedLng);
+    const ids = this.cells.get(key) || [];
+
+    return ids
+      .map((id) => this.entries[id])
+      .filter((entry) => bboxContains(entry.bbox, lat, normalizedLng))
+      .sort((a, b) => bboxArea(a.bbox) - bboxArea(b.bbox))
+      .map((entry) => entry.item);
+  }
+
+  toJSON() {
+    return { cellSize: this.cellSize, entries: this.entries };
+  }
+
+  static fromJSON(json) {
+    const index = new SpatialIndex(json.cellSize);
+    json.entries.forEach(({ bbox, item }) => index.insert(bbox, item));
+    return index;
+  }
+}
+
+// Build an index of country polygons from GeoJSON FeatureCollections, each
+// named after its ISO code (`geoJson.name`, as set by the country loaders)
+function buildCountryIndex(geoJsons, cellSize = DEFAULT_CELL_SIZE) {
+  const index = new SpatialIndex(cellSize);
+
+  geoJsons.forEach((geoJson) => {
+    if (!geoJson || !geoJson.features) {
+      return;
+    }
+    geoJson.features.forEach((feature) => {
+      geometryBBoxes(feature.geometry).forEach((bbox) =>
+        index.insert(bbox, { code: geoJson.name })
+      );
+    });
+  });
+
+  return index;
+}
+
+export {
+  SpatialIndex,
+  buildCountryIndex,
+  geometryBBoxes,
+  ringBBox,
+  bboxContains,
+};
@@ -0,0 +1,151 @@
+// Decoder for TopoJSON (https://github.com/topojson/topojson-specification).
+//
+// A TopoJSON world file stores each border once, as an arc shared by the
+// countries on either side, and quantizes coordinates, so one file replaces
+// the ~200 per-country GeoJSON files at a fraction of their size. Arcs are
+// only decoded when a country is first asked for, into the FeatureCollection
+// shape the mesh pipeline consumes.
+
+class Topology {
+  constructor(topology) {
+    if (!topology || topology.type !== "Topology") {
+      throw new Error("Invalid TopoJSON: expected a Topology");
+    }
+    this.topology = topology;
+    this.arcs = new Map(); // arc index -> decoded [lng, lat] positions
+  }
+
+  // Names of the objects in the file, e.g. ["countries", "land"]
+  objectNames() {
+    return Object.keys(this.topology.objects);
+  }
+
+  // Geometries of a named object, the members of a GeometryCollection
+  geometries(name) {
+    const object = this.topology.objects[name];
+    if (!object) {
+      throw new Error(`No object "${name}" in TopoJSON`);
+    }
+    return object.type === "GeometryCollection" ? object.geometries : [object];
+  }
+
+  // Absolute positions of arc `index`, reversed for negative (~index) arcs
+  arc(index) {
+    const reversed = index < 0;
+    const arcIndex = reversed ? ~index : index;
+    if (!this.arcs.has(arcIndex)) {
+      this.arcs.set(arcIndex, this.decodeArc(this.topology.arcs[arcIndex]));
+    }
+    const positions = this.arcs.get(arcIndex);
+    return reversed ? positions.slice().reverse() : positions;
+  }
+
+  // Quantized arcs are delta-encoded integers to be scaled and translated
+  decodeArc(arc) {
+    const transform = this.topology.transform;
+    if (!transform) {
+      return arc.map((position) => position.slice());
+    }
+    const [scaleX, scaleY] = transform.scale;
+    const [translateX, translateY] = transform.translate;
+    let x = 0;
+    let y = 0;
+    return arc.map(([dx, dy, ...rest]) => {
+      x += dx;
+      y += dy;
+      return [x * scaleX + translateX, y * scaleY + translateY, ...rest];
+    });
+  }
+
+  position(position) {
+    const transform = this.topology.transform;
+    if (!transform) {
+      return position.slice();
+    }
+    const [x, y, ...rest] = position;
+    return [
+      x * transform.scale[0] + transform.translate[0],
+      y * transform.scale[1] + transform.translate[1],
+      ...rest,
+    ];
+  }
+
+  // Join arcs into a line, dropping the point each arc shares with the
+  // previous one
+  line(arcIndexes) {
+    const positions = [];
+    arcIndexes.forEach((index, i) => {
+      const arc = this.arc(index);
+      positions.push(...(i === 0 ? arc : arc.slice(1)));
+    });
+    return positions;
+  }
+
+  // The GeoJSON geometry of a TopoJSON geometry object
+  geometry(object) {
+    switch (object.type) {
+      case "Point":
+        return {
+          type: "Point",
+          coordinates: this.position(object.coordinates),
+        };
+      case "MultiPoint":
+        return {
+          type: "MultiPoint",
+          coordinates: object.coordinates.map((p) => this.position(p)),
+        };
+      case "LineString":
+        return { type: "LineString", coordinates: this.line(object.arcs) };
+      case "MultiLineString":
+        return {
+          type: "MultiLineString",
+          coordinates: object.arcs.map((arcs) => this.line(arcs)),
+        };
+      case "Polygon":
+        return {
+          type: "Polygon",
+          coordinates: object.arcs.map((ring) => this.line(ring)),
+        };
+      case "MultiPolygon":
+        return {
+          type: "MultiPolygon",
+          coordinates: object.arcs.map((polygon) =>
+            polygon.map((ring) => this.line(ring))
+          ),
+        };
+      case "GeometryCollection":
+        return {
+          type: "GeometryCollection",
+          geometries: object.geometries.map((child) => this.geometry(child)),
+        };
+      default:
+        // Null geometries have no type
+        return null;
+    }
+  }
+
+  feature(object) {
+    const feature = {
+      type: "Feature",
+      properties: object.properties || {},
+      geometry: this.geometry(object),
+    };
+    if (object.id !== undefined) {
+      feature.id = object.id;
+    }
+    return feature;
+  }
+
+  // Features of a named object as a FeatureCollection, optionally only those
+  // whose TopoJSON geometry passes `filter`
+  featureCollection(name, filter = () => true) {
+    return {
+      type: "FeatureCollection",
+      features: this.geometries(name)
+        .filter(filter)
+        .map((object) => this.feature(object)),
+    };
+  }
+}
+
+export { Topology };